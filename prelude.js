@@ -2,25 +2,632 @@
  * Replicad Prelude
  */
 
-export function fuseAll(shapes) {
-  let result = shapes[0];
-  shapes.slice(1).forEach((shape) => {
-    result = result.fuse(shape);
+/**
+ * Fuses an array of shapes into a single shape.
+ *
+ * The default "tree" strategy fuses neighbouring pairs level by level, so each
+ * fuse works on shapes of similar complexity rather than repeatedly fusing into
+ * one ever-growing solid. The "sequential" strategy fuses strictly left to
+ * right. Both keep the input order.
+ *
+ * With `tolerant: true` a failing fuse no longer throws. The shapes involved are
+ * retried one at a time, any that still fail are skipped, and the result is
+ * returned together with a list of the input indices that were left out.
+ * @param {Object[]} shapes - Array of Replicad shapes
+ * @param {Object} [options]
+ * @param {"tree"|"sequential"} [options.strategy="tree"] - Fusing order
+ * @param {boolean} [options.tolerant=false] - Skip shapes that fail to fuse
+ * @returns {Object} The fused shape, or `{ shape, failures }` when tolerant
+ */
+export function fuseAll(shapes, options) {
+  return combineAll("fuseAll", "fuse", shapes, options);
+}
+
+/**
+ * Intersects an array of shapes, keeping only the volume common to all of them.
+ * Takes the same options as fuseAll.
+ * @param {Object[]} shapes - Array of Replicad shapes
+ * @param {Object} [options]
+ * @param {"tree"|"sequential"} [options.strategy="tree"] - Intersection order
+ * @param {boolean} [options.tolerant=false] - Skip shapes that fail to intersect
+ * @returns {Object} The intersected shape, or `{ shape, failures }` when tolerant
+ */
+export function intersectAll(shapes, options) {
+  return combineAll("intersectAll", "intersect", shapes, options);
+}
+
+/**
+ * Cuts every tool shape out of a base shape.
+ *
+ * By default the tools are first fused together with fuseAll and cut from the
+ * base in a single operation, which is much faster than one cut per tool. With
+ * `fuseTools: false` each tool is cut from the base in turn.
+ *
+ * With `tolerant: true` failing tools are skipped and reported by their index
+ * in `tools`, as for fuseAll. If none of several tools can be cut, the base is
+ * at fault and an error is thrown instead.
+ * @param {Object} base - The Replicad shape to cut from
+ * @param {Object[]} tools - Array of Replicad shapes to remove
+ * @param {Object} [options]
+ * @param {boolean} [options.fuseTools=true] - Fuse the tools before cutting
+ * @param {"tree"|"sequential"} [options.strategy="tree"] - Tool fusing order
+ * @param {boolean} [options.tolerant=false] - Skip tools that fail
+ * @returns {Object} The cut shape, or `{ shape, failures }` when tolerant
+ * @throws {Error} If a cut fails, or when tolerant if no tool can be cut
+ */
+export function cutAll(
+  base,
+  tools,
+  { fuseTools = true, strategy = "tree", tolerant = false } = {}
+) {
+  if (!tolerant) {
+    if (tools.length === 0) return base;
+    if (fuseTools) return base.cut(fuseAll(tools, { strategy }));
+    return tools.reduce((result, tool) => result.cut(tool), base);
+  }
+
+  let failures = [];
+  let remaining = tools.map((_, index) => index);
+  if (fuseTools) {
+    const fused = fuseAll(tools, { strategy, tolerant: true });
+    if (fused.shape === null) return { shape: base, failures: fused.failures };
+    try {
+      return { shape: base.cut(fused.shape), failures: fused.failures };
+    } catch (error) {
+      // Fall back to cutting the tools that did fuse one at a time
+      failures = fused.failures;
+      const failed = new Set(failures.map((f) => f.index));
+      remaining = remaining.filter((index) => !failed.has(index));
+    }
+  }
+
+  let shape = base;
+  const cutErrors = [];
+  for (const index of remaining) {
+    if (!tools[index]) {
+      failures.push({
+        index,
+        error: new Error(`cutAll: tool ${index} is not a shape`),
+      });
+      continue;
+    }
+    try {
+      shape = shape.cut(tools[index]);
+    } catch (error) {
+      cutErrors.push({ index, error });
+    }
+  }
+  // When several tools were tried and not one of them cut, the base is broken
+  if (cutErrors.length > 1 && cutErrors.length === remaining.length) {
+    throw new Error(
+      `cutAll: the base could not be cut by any of the tools (${cutErrors[0].error.message})`
+    );
+  }
+  failures.push(...cutErrors);
+  failures.sort((a, b) => a.index - b.index);
+  return { shape, failures };
+}
+
+/**
+ * Shared implementation of fuseAll and intersectAll: combines shapes pairwise
+ * with `shape[method](other)`, either as a balanced tree or left to right.
+ * @param {string} name - Public function name, used in error messages
+ * @param {string} method - Shape method to combine with, e.g. "fuse"
+ * @param {Object[]} shapes - Array of Replicad shapes
+ * @param {Object} [options]
+ * @returns {Object} The combined shape, or `{ shape, failures }` when tolerant
+ */
+function combineAll(
+  name,
+  method,
+  shapes,
+  { strategy = "tree", tolerant = false } = {}
+) {
+  if (strategy !== "tree" && strategy !== "sequential") {
+    throw new Error(`${name}: unknown strategy "${strategy}"`);
+  }
+  if (tolerant) return combineAllTolerant(name, method, shapes, strategy);
+  if (shapes.length === 0) {
+    throw new Error(`${name}: expected at least one shape`);
+  }
+
+  if (strategy === "sequential") {
+    let result = shapes[0];
+    shapes.slice(1).forEach((shape) => {
+      result = result[method](shape);
+    });
+    return result;
+  }
+
+  let level = shapes;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(
+        i + 1 < level.length ? level[i][method](level[i + 1]) : level[i]
+      );
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+/**
+ * Tolerant version of combineAll. Every partial result remembers which input
+ * indices it contains, so a failed operation can be blamed on specific shapes.
+ * @param {string} name - Public function name, used in error messages
+ * @param {string} method - Shape method to combine with, e.g. "fuse"
+ * @param {Object[]} shapes - Array of Replicad shapes
+ * @param {"tree"|"sequential"} strategy - Combining order
+ * @returns {{shape: Object|null, failures: {index: number, error: Error}[]}}
+ */
+function combineAllTolerant(name, method, shapes, strategy) {
+  const failures = [];
+  let groups = [];
+  shapes.forEach((shape, index) => {
+    if (shape && typeof shape[method] === "function") {
+      groups.push({ shape, indices: [index], pending: [] });
+    } else {
+      failures.push({
+        index,
+        error: new Error(`${name}: input ${index} is not a shape`),
+      });
+    }
   });
-  return result;
+
+  // A group that contains two or more shapes has fused successfully, so when
+  // it fails to combine with a single shape that shape is to blame. When two
+  // single shapes fail there is no telling which one is broken: the second is
+  // kept pending until the group has a partner it does combine with.
+  const combine = (left, right) => ({
+    shape: left.shape[method](right.shape),
+    indices: [...left.indices, ...right.indices],
+    pending: [...left.pending, ...right.pending],
+  });
+
+  // Adds pending shapes one at a time onto a group that has fused
+  const settle = (group) => {
+    if (group.indices.length < 2) return group;
+    let result = { ...group, pending: [] };
+    for (const { index } of group.pending) {
+      try {
+        result = combine(result, single(index));
+      } catch (error) {
+        failures.push({ index, error });
+      }
+    }
+    return result;
+  };
+
+  const single = (index) => ({
+    shape: shapes[index],
+    indices: [index],
+    pending: [],
+  });
+
+  // Starts again from single shapes, using the first pair that combines
+  const regroup = (candidates) => {
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        try {
+          const pair = combine(
+            single(candidates[i].index),
+            single(candidates[j].index)
+          );
+          const others = candidates.filter((_, k) => k !== i && k !== j);
+          return settle({ ...pair, pending: others });
+        } catch (error) {
+          candidates[j] = { index: candidates[j].index, error };
+        }
+      }
+    }
+    return { ...single(candidates[0].index), pending: candidates.slice(1) };
+  };
+
+  const merge = (left, right) => {
+    try {
+      return settle(combine(left, right));
+    } catch (error) {
+      const unpack = (group) => [
+        ...group.indices.map((index) => ({ index, error })),
+        ...group.pending,
+      ];
+      const base =
+        left.indices.length > 1
+          ? left
+          : right.indices.length > 1
+            ? right
+            : null;
+      if (!base) return regroup([...unpack(left), ...unpack(right)]);
+      return settle({
+        ...base,
+        pending: unpack(base === left ? right : left),
+      });
+    }
+  };
+
+  if (strategy === "sequential") {
+    groups = groups.length > 0 ? [groups.reduce(merge)] : [];
+  }
+  while (groups.length > 1) {
+    const next = [];
+    for (let i = 0; i < groups.length; i += 2) {
+      next.push(
+        i + 1 < groups.length ? merge(groups[i], groups[i + 1]) : groups[i]
+      );
+    }
+    groups = next;
+  }
+
+  if (groups.length > 0) failures.push(...groups[0].pending);
+  failures.sort((a, b) => a.index - b.index);
+  return { shape: groups.length > 0 ? groups[0].shape : null, failures };
+}
+
+/**
+ * Creates copies of a shape arranged around a circle.
+ *
+ * The shape is moved `radius` along `direction` from `center`, then each copy
+ * is rotated around `axis` through `center`. By default the copies are spread
+ * evenly over a full turn starting at 0°. For a partial arc set `sweep`; with
+ * `includeEnd` the last copy lands exactly on the end of the arc.
+ * @param {Object} shape - A Replicad shape
+ * @param {number} count - Number of copies
+ * @param {number} radius - Distance from the center
+ * @param {Object} [options]
+ * @param {number} [options.startAngle=0] - Angle of the first copy, in degrees
+ * @param {number} [options.sweep=360] - Arc to spread the copies over, in degrees
+ * @param {boolean} [options.includeEnd=false] - Place a copy at the end of the arc
+ * @param {number[]} [options.axis=[0, 0, 1]] - Rotation axis
+ * @param {number[]} [options.center=[0, 0, 0]] - Center of the circle
+ * @param {number[]} [options.direction=[0, 1, 0]] - Direction of the first offset
+ * @param {boolean} [options.keepOrientation=false] - Only translate the copies,
+ *   keeping the original orientation instead of turning each to face outward
+ * @returns {Object[]} Array of shapes arranged in a polar pattern
+ */
+export function polarCopies(
+  shape,
+  count,
+  radius,
+  {
+    startAngle = 0,
+    sweep = 360,
+    includeEnd = false,
+    axis = [0, 0, 1],
+    center = [0, 0, 0],
+    direction = [0, 1, 0],
+    keepOrientation = false,
+  } = {}
+) {
+  const offset = scale(normalize(direction), radius);
+  const angle = includeEnd && count > 1 ? sweep / (count - 1) : sweep / count;
+
+  const copies = [];
+  if (keepOrientation) {
+    for (let i = 0; i < count; i++) {
+      const rotated = rotateAroundAxis(offset, axis, startAngle + i * angle);
+      const [x, y, z] = add(center, rotated);
+      copies.push(shape.clone().translate(x, y, z));
+    }
+    return copies;
+  }
+
+  const [x, y, z] = add(center, offset);
+  const base = shape.translate(x, y, z);
+  for (let i = 0; i < count; i++) {
+    copies.push(base.clone().rotate(startAngle + i * angle, center, axis));
+  }
+  return copies;
 }
 
-export function polarCopies(shape, count, radius) {
-  const base = shape.translate(0, radius);
-  const angle = 360 / count;
+/**
+ * Creates copies of a shape in a straight line, each `step` further along.
+ * @param {Object} shape - A Replicad shape
+ * @param {number} count - Number of copies
+ * @param {number|number[]} step - Offset between copies: a distance along X,
+ *   or a 2D/3D vector
+ * @param {Object} [options]
+ * @param {boolean} [options.center=false] - Center the row on the origin
+ * @param {function(number): boolean} [options.skip] - Return true to leave out
+ *   the copy with the given index
+ * @returns {Object[]} Array of translated copies
+ */
+export function linearCopies(
+  shape,
+  count,
+  step,
+  { center = false, skip } = {}
+) {
+  const [sx, sy = 0, sz = 0] = typeof step === "number" ? [step] : step;
+  const shift = center ? (count - 1) / 2 : 0;
 
   const copies = [];
   for (let i = 0; i < count; i++) {
-    copies.push(base.clone().rotate(i * angle));
+    if (skip && skip(i)) continue;
+    const t = i - shift;
+    copies.push(shape.clone().translate(t * sx, t * sy, t * sz));
+  }
+  return copies;
+}
+
+/**
+ * Creates copies of a shape on a rectangular grid of `nx` by `ny` cells, with
+ * an optional third layer count `nz` stacked along Z.
+ * @param {Object} shape - A Replicad shape
+ * @param {number} nx - Number of columns (along X)
+ * @param {number} ny - Number of rows (along Y)
+ * @param {number} dx - Spacing between columns
+ * @param {number} dy - Spacing between rows
+ * @param {Object} [options]
+ * @param {number} [options.nz=1] - Number of layers (along Z)
+ * @param {number} [options.dz=0] - Spacing between layers
+ * @param {boolean} [options.center=false] - Center the grid on the origin
+ * @param {boolean} [options.stagger=false] - Shift every other row by half a
+ *   column, like brickwork
+ * @param {function(number, number, number): boolean} [options.skip] - Return
+ *   true to leave out the cell at column i, row j, layer k
+ * @returns {Object[]} Array of translated copies, row by row
+ */
+export function gridCopies(
+  shape,
+  nx,
+  ny,
+  dx,
+  dy,
+  { nz = 1, dz = 0, center = false, stagger = false, skip } = {}
+) {
+  const staggered = stagger && ny > 1;
+  const offset = center
+    ? [
+        -((nx - 1) * dx + (staggered ? dx / 2 : 0)) / 2,
+        -((ny - 1) * dy) / 2,
+        -((nz - 1) * dz) / 2,
+      ]
+    : [0, 0, 0];
+
+  const copies = [];
+  for (let k = 0; k < nz; k++) {
+    for (let j = 0; j < ny; j++) {
+      const rowShift = staggered && j % 2 === 1 ? dx / 2 : 0;
+      for (let i = 0; i < nx; i++) {
+        if (skip && skip(i, j, k)) continue;
+        copies.push(
+          shape
+            .clone()
+            .translate(
+              offset[0] + i * dx + rowShift,
+              offset[1] + j * dy,
+              offset[2] + k * dz
+            )
+        );
+      }
+    }
+  }
+  return copies;
+}
+
+/**
+ * Creates a shape together with its mirror images.
+ *
+ * With a single plane this returns the shape and its reflection. With an array
+ * of planes each plane doubles the set, so ["YZ", "XZ"] gives four copies with
+ * the symmetry of a rectangle.
+ * @param {Object} shape - A Replicad shape
+ * @param {string|number[]|Array<string|number[]>} [planes="YZ"] - Mirror plane
+ *   as a plane name ("XY", "YZ", "XZ") or normal vector, or an array of them
+ * @param {Object} [options]
+ * @param {number[]} [options.origin=[0, 0, 0]] - A point on the mirror planes
+ * @returns {Object[]} The original shape followed by the mirrored copies
+ */
+export function mirrorCopies(
+  shape,
+  planes = "YZ",
+  { origin = [0, 0, 0] } = {}
+) {
+  // A lone normal vector is an array of numbers, not an array of planes
+  const list =
+    Array.isArray(planes) && typeof planes[0] !== "number" ? planes : [planes];
+
+  let copies = [shape.clone()];
+  for (const plane of list) {
+    copies = [
+      ...copies,
+      ...copies.map((copy) => copy.clone().mirror(plane, origin)),
+    ];
+  }
+  return copies;
+}
+
+/**
+ * Creates the 2n copies of a shape with dihedral symmetry: n rotations evenly
+ * spaced around an axis, plus the same n rotations of its mirror image.
+ * The mirror plane contains the axis; by default it is the YZ plane.
+ * @param {Object} shape - A Replicad shape, already placed away from the axis
+ * @param {number} n - Order of the rotational symmetry
+ * @param {Object} [options]
+ * @param {number[]} [options.axis=[0, 0, 1]] - Rotation axis
+ * @param {number[]} [options.center=[0, 0, 0]] - A point on the axis
+ * @param {number[]} [options.normal] - Normal of the mirror plane; must be
+ *   perpendicular to the axis. Defaults to [1, 0, 0] for the Z axis.
+ * @returns {Object[]} The n rotations followed by the n mirrored rotations
+ */
+export function dihedralCopies(
+  shape,
+  n,
+  { axis = [0, 0, 1], center = [0, 0, 0], normal } = {}
+) {
+  let mirrorNormal = normal;
+  if (!mirrorNormal) {
+    // Take whichever of X or Y is further from the axis and remove its
+    // component along the axis
+    const k = normalize(axis);
+    const guess = Math.abs(k[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    mirrorNormal = normalize(subtract(guess, scale(k, dotProduct(guess, k))));
+  }
+
+  const mirrored = shape.clone().mirror(mirrorNormal, center);
+  const angle = 360 / n;
+  const copies = [];
+  for (const base of [shape, mirrored]) {
+    for (let i = 0; i < n; i++) {
+      copies.push(base.clone().rotate(i * angle, center, axis));
+    }
   }
   return copies;
 }
 
+/**
+ * Distances that split a path into equal steps.
+ * @param {number} length - Path length
+ * @param {number} count - Number of distances
+ * @param {boolean} closed - Closed paths do not repeat the start at the end
+ * @returns {number[]} Distances from the start of the path
+ */
+function evenDistances(length, count, closed) {
+  const gaps = closed ? count : count - 1;
+  return Array.from({ length: count }, (_, i) =>
+    gaps > 0 ? (i * length) / gaps : 0
+  );
+}
+
+/**
+ * Creates copies of a shape spaced evenly along a polyline.
+ *
+ * Pass a number for a fixed count of copies, or `{ spacing }` for copies a
+ * fixed distance apart. Open paths get a copy at both ends; closed paths wrap
+ * around without doubling up on the first point.
+ * @param {Object} shape - A Replicad shape
+ * @param {number[][]} points - Polyline vertices as [x, y] or [x, y, z]
+ * @param {number|{spacing: number}} countOrSpacing - Number of copies, or the
+ *   distance between them
+ * @param {Object} [options]
+ * @param {boolean} [options.alignToTangent=false] - Rotate each copy around Z
+ *   so that its +X axis follows the path
+ * @param {boolean} [options.closed=false] - Treat the path as a closed loop
+ * @returns {Object[]} Array of copies placed along the path
+ * @throws {Error} If the count is not a non-negative integer or the
+ *   spacing is not a positive number
+ */
+export function pathCopies(
+  shape,
+  points,
+  countOrSpacing,
+  { alignToTangent = false, closed = false } = {}
+) {
+  const { length } = pathSegments(points, closed);
+  let distances = [];
+  if (typeof countOrSpacing === "number") {
+    if (!Number.isInteger(countOrSpacing) || countOrSpacing < 0) {
+      throw new Error(
+        `pathCopies: count must be a non-negative integer, got ${countOrSpacing}`
+      );
+    }
+    distances = evenDistances(length, countOrSpacing, closed);
+  } else {
+    const { spacing } = countOrSpacing || {};
+    if (!(spacing > 0) || !Number.isFinite(spacing)) {
+      throw new Error(
+        `pathCopies: spacing must be a positive number, got ${spacing}`
+      );
+    }
+    // Allow for rounding so the end of an open path still gets its copy, but
+    // a closed path does not get a second copy on top of the first
+    const slack = spacing * 1e-9;
+    const end = closed ? length - slack : length + slack;
+    for (let i = 0; i * spacing < end; i++) {
+      distances.push(Math.min(i * spacing, length));
+    }
+  }
+
+  return sampleAlongPath(points, distances, closed).map(
+    ({ point, tangent }) => {
+      const [x, y, z = 0] = point;
+      let copy = shape.clone();
+      if (alignToTangent) {
+        copy = copy.rotate(
+          (Math.atan2(tangent[1], tangent[0]) * 180) / Math.PI
+        );
+      }
+      return copy.translate(x, y, z);
+    }
+  );
+}
+
+/**
+ * Splits a polyline into segments, each with its start distance along the path.
+ * @param {number[][]} points - Polyline vertices
+ * @param {boolean} closed - Add a segment from the last point back to the first
+ * @returns {{segments: {start: number[], end: number[], from: number, length: number}[], length: number}}
+ */
+function pathSegments(points, closed) {
+  const segments = [];
+  let total = 0;
+  const count = closed ? points.length : points.length - 1;
+  for (let i = 0; i < count; i++) {
+    const start = points[i];
+    const end = points[(i + 1) % points.length];
+    const length = magnitude(subtract(end, start));
+    segments.push({ start, end, from: total, length });
+    total += length;
+  }
+  return { segments, length: total };
+}
+
+/**
+ * Finds points and unit tangents at the given distances along a polyline.
+ * @param {number[][]} points - Polyline vertices
+ * @param {number[]} distances - Distances from the first point, in ascending order
+ * @param {boolean} closed - Whether the path loops back to the first point
+ * @returns {{point: number[], tangent: number[]}[]} One sample per distance
+ */
+function sampleAlongPath(points, distances, closed) {
+  const { segments } = pathSegments(points, closed);
+  const solid = segments.filter((segment) => segment.length > 0);
+  if (solid.length === 0) {
+    return distances.map(() => ({
+      point: [...points[0]],
+      tangent: points[0].map((_, i) => (i === 0 ? 1 : 0)),
+    }));
+  }
+
+  let index = 0;
+  return distances.map((distance) => {
+    while (
+      index < solid.length - 1 &&
+      distance >= solid[index].from + solid[index].length
+    ) {
+      index++;
+    }
+    const { start, end, from, length } = solid[index];
+    const proportion = Math.min(Math.max((distance - from) / length, 0), 1);
+    return {
+      point: pointAlong(start, end, proportion),
+      tangent: normalize(subtract(end, start)),
+    };
+  });
+}
+
+/**
+ * Rotates a 3D vector around an axis through the origin (Rodrigues' formula).
+ * @param {number[]} vector - The vector to rotate
+ * @param {number[]} axis - The rotation axis (need not be unit length)
+ * @param {number} angle - The angle in degrees, counter-clockwise about the axis
+ * @returns {number[]} The rotated vector
+ */
+function rotateAroundAxis(vector, axis, angle) {
+  const [kx, ky, kz] = normalize(axis);
+  const [vx, vy, vz] = vector;
+  const theta = (angle * Math.PI) / 180;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const along = (kx * vx + ky * vy + kz * vz) * (1 - cos);
+  return [
+    vx * cos + (ky * vz - kz * vy) * sin + kx * along,
+    vy * cos + (kz * vx - kx * vz) * sin + ky * along,
+    vz * cos + (kx * vy - ky * vx) * sin + kz * along,
+  ];
+}
+
 export class RNG {
   /**
    * Creates a new seeded random number generator.
@@ -268,15 +875,3227 @@ export function pointAlong(vector1, vector2, proportion) {
   return add(vector1, scale(subtract(vector2, vector1), proportion));
 }
 
+/**
+ * Cross product. Two 3D vectors give a vector perpendicular to both; two 2D
+ * vectors give the scalar z component, which is positive when the second
+ * vector is counter-clockwise from the first.
+ * @param {number[]} vector - First vector
+ * @param {number[]} otherVector - Second vector
+ * @returns {number[]|number} The cross product
+ * @throws {Error} If the vectors are not both 2D or both 3D
+ */
+export function cross(vector, otherVector) {
+  if (vector.length === 2 && otherVector.length === 2) {
+    return vector[0] * otherVector[1] - vector[1] * otherVector[0];
+  }
+  if (vector.length !== 3 || otherVector.length !== 3) {
+    throw new Error("cross: expected two 2D or two 3D vectors");
+  }
+  const [ax, ay, az] = vector;
+  const [bx, by, bz] = otherVector;
+  return [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+}
+
+/**
+ * Calculates the distance between two points.
+ * @param {number[]} point - First point
+ * @param {number[]} otherPoint - Second point
+ * @returns {number} The distance
+ */
+export function distance(point, otherPoint) {
+  return Math.sqrt(distanceSq(point, otherPoint));
+}
+
+/**
+ * Calculates the squared distance between two points, which is cheaper when
+ * only comparing distances.
+ * @param {number[]} point - First point
+ * @param {number[]} otherPoint - Second point
+ * @returns {number} The squared distance
+ */
+export function distanceSq(point, otherPoint) {
+  return point.reduce(
+    (sum, value, index) => sum + (value - otherPoint[index]) ** 2,
+    0
+  );
+}
+
+/**
+ * Calculates the angle between two vectors, accurate even for nearly
+ * parallel vectors.
+ * @param {number[]} vector - First vector
+ * @param {number[]} otherVector - Second vector
+ * @returns {number} The angle in radians, from 0 to π (0 if either vector is
+ *   zero)
+ */
+export function angleBetween(vector, otherVector) {
+  const a = scale(vector, magnitude(otherVector));
+  const b = scale(otherVector, magnitude(vector));
+  return 2 * Math.atan2(magnitude(subtract(a, b)), magnitude(add(a, b)));
+}
+
+/**
+ * Calculates the signed angle from one 2D vector to another.
+ * @param {number[]} vector - Starting vector [x, y]
+ * @param {number[]} otherVector - Ending vector [x, y]
+ * @returns {number} The angle in radians, from -π to π, positive when
+ *   counter-clockwise
+ */
+export function signedAngle(vector, otherVector) {
+  return Math.atan2(
+    cross(vector, otherVector),
+    dotProduct(vector, otherVector)
+  );
+}
+
+/**
+ * Projects a vector onto another, keeping the part parallel to it.
+ * @param {number[]} vector - The vector to project
+ * @param {number[]} onto - The direction to project onto
+ * @returns {number[]} The projection (zero if `onto` is zero)
+ */
+export function project(vector, onto) {
+  const lengthSq = dotProduct(onto, onto);
+  return scale(onto, lengthSq === 0 ? 0 : dotProduct(vector, onto) / lengthSq);
+}
+
+/**
+ * Removes the part of a vector parallel to another, keeping the
+ * perpendicular part.
+ * @param {number[]} vector - The vector
+ * @param {number[]} from - The direction to remove
+ * @returns {number[]} The rejection, so that project + reject = vector
+ */
+export function reject(vector, from) {
+  return subtract(vector, project(vector, from));
+}
+
+/**
+ * Reflects a vector off a surface, as a ray bouncing off a mirror.
+ * @param {number[]} vector - The vector to reflect
+ * @param {number[]} normal - Normal of the mirror line or plane
+ * @returns {number[]} The reflected vector
+ */
+export function reflect(vector, normal) {
+  return subtract(vector, scale(project(vector, normal), 2));
+}
+
+/**
+ * Rotates a 2D point around a center.
+ * @param {number[]} vector - The point [x, y]
+ * @param {number} angle - The angle in radians, counter-clockwise
+ * @param {number[]} [center=[0, 0]] - The center of rotation
+ * @returns {number[]} The rotated point
+ */
+export function rotate2D(vector, angle, center = [0, 0]) {
+  const [x, y] = subtract(vector, center);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return add([x * cos - y * sin, x * sin + y * cos], center);
+}
+
+/**
+ * Finds a vector of the same length at right angles to a 2D or 3D vector.
+ * In 2D this is the vector turned 90° counter-clockwise; in 3D it is one of
+ * the many perpendicular directions.
+ * @param {number[]} vector - The vector
+ * @returns {number[]} A perpendicular vector
+ * @throws {Error} If the vector is not 2D or 3D
+ */
+export function perpendicular(vector) {
+  if (vector.length === 2) return [-vector[1], vector[0]];
+  if (vector.length !== 3) {
+    throw new Error("perpendicular: expected a 2D or 3D vector");
+  }
+  // Cross with the axis the vector is least aligned with
+  const abs = vector.map(Math.abs);
+  const axis = [0, 0, 0];
+  axis[abs.indexOf(Math.min(...abs))] = 1;
+  return scale(normalize(cross(vector, axis)), magnitude(vector));
+}
+
+/**
+ * Component-wise minimum of two vectors.
+ * @param {number[]} vector - First vector
+ * @param {number[]} otherVector - Second vector
+ * @returns {number[]} The smaller value in each component
+ */
+export function min(vector, otherVector) {
+  return vector.map((value, index) => Math.min(value, otherVector[index]));
+}
+
+/**
+ * Component-wise maximum of two vectors.
+ * @param {number[]} vector - First vector
+ * @param {number[]} otherVector - Second vector
+ * @returns {number[]} The larger value in each component
+ */
+export function max(vector, otherVector) {
+  return vector.map((value, index) => Math.max(value, otherVector[index]));
+}
+
+/**
+ * Limits each component of a vector to a range.
+ * @param {number[]} vector - The vector
+ * @param {number|number[]} low - Lower limit, for every component or each one
+ * @param {number|number[]} high - Upper limit, for every component or each one
+ * @returns {number[]} The clamped vector
+ */
+export function clamp(vector, low, high) {
+  return vector.map((value, index) =>
+    Math.min(
+      Math.max(value, Array.isArray(low) ? low[index] : low),
+      Array.isArray(high) ? high[index] : high
+    )
+  );
+}
+
+/**
+ * Linear interpolation between two vectors, like pointAlong, but with the
+ * option of a separate weight for each component.
+ * @param {number[]} vector1 - The start vector
+ * @param {number[]} vector2 - The end vector
+ * @param {number|number[]} weight - Proportion along the line (0 = vector1,
+ *   1 = vector2), for every component or each one
+ * @returns {number[]} The interpolated vector
+ */
+export function lerp(vector1, vector2, weight) {
+  return vector1.map((value, index) => {
+    const t = Array.isArray(weight) ? weight[index] : weight;
+    return value + (vector2[index] - value) * t;
+  });
+}
+
 /**
  * Draws a polygon defined by a list of points using the provided pen.
+ *
+ * Corners can be rounded or chamfered with the pen's own customCorner, so the
+ * result stays an exact arc in OCCT. Give one radius for every corner or an
+ * array with one radius per point (0 leaves that corner sharp). The first and
+ * last points of an open path have no corner.
  * @param {Object} pen - The drawing pen (call draw())
  * @param {number[][]} points - Array of points defining the polygon
+ * @param {Object} [options]
+ * @param {boolean} [options.closed=true] - Close the path back to the first point
+ * @param {number|number[]} [options.radius=0] - Corner radius, or one per point
+ * @param {"fillet"|"chamfer"} [options.mode="fillet"] - Round or cut the corners
+ * @returns {Object} The finished drawing
  */
-export function drawPoints(pen, points) {
+export function drawPoints(
+  pen,
+  points,
+  { closed = true, radius = 0, mode = "fillet" } = {}
+) {
+  const radiusAt = (i) => (Array.isArray(radius) ? radius[i] : radius) || 0;
+  const last = points.length - 1;
+
   let s = pen.movePointerTo(points[0]);
   for (let i = 1; i < points.length; i++) {
     s = s.lineTo(points[i]);
+    if ((closed || i < last) && radiusAt(i) > 0) {
+      s = s.customCorner(radiusAt(i), mode);
+    }
+  }
+
+  if (!closed) return s.done();
+  if (radiusAt(0) > 0) return s.closeWithCustomCorner(radiusAt(0), mode);
+  return s.close();
+}
+
+/**
+ * Offsets from a hex cell to its six neighbours, in axial [q, r] coordinates.
+ * Starts east and goes counter-clockwise.
+ */
+const HEX_DIRECTIONS = [
+  [1, 0],
+  [1, -1],
+  [0, -1],
+  [-1, 0],
+  [-1, 1],
+  [0, 1],
+];
+
+/**
+ * Converts axial hex coordinates to cube coordinates.
+ * @param {number[]} axial - [q, r] axial coordinates
+ * @returns {number[]} [q, r, s] cube coordinates, where q + r + s = 0
+ */
+export function axialToCube([q, r]) {
+  return [q, r, -q - r];
+}
+
+/**
+ * Converts cube hex coordinates to axial coordinates.
+ * @param {number[]} cube - [q, r, s] cube coordinates
+ * @returns {number[]} [q, r] axial coordinates
+ */
+export function cubeToAxial([q, r]) {
+  return [q, r];
+}
+
+/**
+ * Rounds fractional cube coordinates to the nearest hex cell.
+ * @param {number[]} cube - [q, r, s] fractional cube coordinates
+ * @returns {number[]} [q, r, s] integer cube coordinates
+ */
+export function cubeRound([q, r, s]) {
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  let rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  } else {
+    rs = -rq - rr;
+  }
+  // Adding 0 turns any -0 from Math.round into 0
+  return [rq + 0, rr + 0, rs + 0];
+}
+
+/**
+ * Converts axial hex coordinates to offset [col, row] coordinates.
+ * Pointy-top grids shift alternate rows, flat-top grids alternate columns.
+ * @param {number[]} axial - [q, r] axial coordinates
+ * @param {Object} [options]
+ * @param {"pointy"|"flat"} [options.orientation="pointy"] - Hexagon orientation
+ * @param {"odd"|"even"} [options.parity="odd"] - Which rows/columns are shifted
+ * @returns {number[]} [col, row] offset coordinates
+ */
+export function axialToOffset(
+  [q, r],
+  { orientation = "pointy", parity = "odd" } = {}
+) {
+  const sign = parity === "odd" ? -1 : 1;
+  if (orientation === "pointy") {
+    return [q + (r + sign * (r & 1)) / 2, r];
+  }
+  return [q, r + (q + sign * (q & 1)) / 2];
+}
+
+/**
+ * Converts offset [col, row] hex coordinates to axial coordinates.
+ * @param {number[]} offset - [col, row] offset coordinates
+ * @param {Object} [options]
+ * @param {"pointy"|"flat"} [options.orientation="pointy"] - Hexagon orientation
+ * @param {"odd"|"even"} [options.parity="odd"] - Which rows/columns are shifted
+ * @returns {number[]} [q, r] axial coordinates
+ */
+export function offsetToAxial(
+  [col, row],
+  { orientation = "pointy", parity = "odd" } = {}
+) {
+  const sign = parity === "odd" ? -1 : 1;
+  if (orientation === "pointy") {
+    return [col - (row + sign * (row & 1)) / 2, row];
+  }
+  return [col, row - (col + sign * (col & 1)) / 2];
+}
+
+/**
+ * Finds the center of a hex cell.
+ * @param {number[]} axial - [q, r] axial coordinates
+ * @param {number} size - Hexagon circumradius (center to corner)
+ * @param {Object} [options]
+ * @param {"pointy"|"flat"} [options.orientation="pointy"] - Hexagon orientation
+ * @returns {number[]} [x, y] center point
+ */
+export function axialToPoint([q, r], size, { orientation = "pointy" } = {}) {
+  const root3 = Math.sqrt(3);
+  if (orientation === "pointy") {
+    return [size * (root3 * q + (root3 / 2) * r), size * 1.5 * r];
+  }
+  return [size * 1.5 * q, size * ((root3 / 2) * q + root3 * r)];
+}
+
+/**
+ * Finds the hex cell containing a point.
+ * @param {number[]} point - [x, y] point
+ * @param {number} size - Hexagon circumradius (center to corner)
+ * @param {Object} [options]
+ * @param {"pointy"|"flat"} [options.orientation="pointy"] - Hexagon orientation
+ * @returns {number[]} [q, r] axial coordinates of the containing cell
+ */
+export function pointToAxial([x, y], size, { orientation = "pointy" } = {}) {
+  const root3 = Math.sqrt(3);
+  const [q, r] =
+    orientation === "pointy"
+      ? [((root3 / 3) * x - y / 3) / size, ((2 / 3) * y) / size]
+      : [((2 / 3) * x) / size, (-x / 3 + (root3 / 3) * y) / size];
+  return cubeToAxial(cubeRound(axialToCube([q, r])));
+}
+
+/**
+ * Lists the six neighbours of a hex cell.
+ * @param {number[]} axial - [q, r] axial coordinates
+ * @returns {number[][]} Axial coordinates of the neighbours, counter-clockwise
+ *   starting east
+ */
+export function hexNeighbors([q, r]) {
+  return HEX_DIRECTIONS.map(([dq, dr]) => [q + dq, r + dr]);
+}
+
+/**
+ * Counts the steps between two hex cells.
+ * @param {number[]} a - [q, r] axial coordinates
+ * @param {number[]} b - [q, r] axial coordinates
+ * @returns {number} The number of cells moved through to get from a to b
+ */
+export function hexDistance([aq, ar], [bq, br]) {
+  const dq = aq - bq;
+  const dr = ar - br;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+/**
+ * Lists the corners of a hexagon, counter-clockwise, ready for drawPoints.
+ * @param {number[]} center - [x, y] center point
+ * @param {number} size - Hexagon circumradius (center to corner)
+ * @param {Object} [options]
+ * @param {"pointy"|"flat"} [options.orientation="pointy"] - Hexagon orientation
+ * @returns {number[][]} Six [x, y] corner points
+ */
+export function hexVertices(center, size, { orientation = "pointy" } = {}) {
+  const start = orientation === "pointy" ? Math.PI / 6 : 0;
+  return Array.from({ length: 6 }, (_, i) =>
+    add(center, polarToCartesian(size, start + (i * Math.PI) / 3))
+  );
+}
+
+/**
+ * Generates the cells of a hexagonal grid covering a region. The region is
+ * either a rectangle from the origin to [width, height] (as for poissonDisc)
+ * or a circle of the given radius around the origin. Cell [0, 0] is centered
+ * on the origin.
+ * @param {number} size - Hexagon circumradius (center to corner)
+ * @param {{width: number, height: number}|{radius: number}} region - Area to fill
+ * @param {Object} [options]
+ * @param {"pointy"|"flat"} [options.orientation="pointy"] - Hexagon orientation
+ * @param {"odd"|"even"} [options.parity="odd"] - Offset coordinate convention
+ * @param {"center"|"cell"} [options.fit="center"] - Keep cells whose center is
+ *   in the region, or only cells that lie entirely inside it
+ * @returns {{center: number[], axial: number[], offset: number[]}[]} Cells,
+ *   row by row (pointy) or column by column (flat)
+ */
+export function hexGrid(
+  size,
+  region,
+  { orientation = "pointy", parity = "odd", fit = "center" } = {}
+) {
+  const inRegion =
+    region.radius !== undefined
+      ? ([x, y]) => x * x + y * y <= region.radius * region.radius
+      : ([x, y]) => x >= 0 && x <= region.width && y >= 0 && y <= region.height;
+  const [maxX, maxY, minX, minY] =
+    region.radius !== undefined
+      ? [region.radius, region.radius, -region.radius, -region.radius]
+      : [region.width, region.height, 0, 0];
+
+  // Step sizes between offset rows/columns along and across the major axis
+  const pointy = orientation === "pointy";
+  const major = size * 1.5;
+  const minor = size * Math.sqrt(3);
+  const [lineMin, lineMax] = pointy ? [minY, maxY] : [minX, maxX];
+  const [acrossMin, acrossMax] = pointy ? [minX, maxX] : [minY, maxY];
+
+  const cells = [];
+  const firstLine = Math.floor(lineMin / major) - 1;
+  const lastLine = Math.ceil(lineMax / major) + 1;
+  for (let line = firstLine; line <= lastLine; line++) {
+    for (
+      let step = Math.floor(acrossMin / minor) - 1;
+      step <= Math.ceil(acrossMax / minor) + 1;
+      step++
+    ) {
+      const offset = pointy ? [step, line] : [line, step];
+      const axial = offsetToAxial(offset, { orientation, parity });
+      const center = axialToPoint(axial, size, { orientation });
+      const inside =
+        fit === "cell"
+          ? hexVertices(center, size, { orientation }).every(inRegion)
+          : inRegion(center);
+      if (inside) cells.push({ center, axial, offset });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Generates a triangular lattice covering a rectangle from the origin to
+ * [width, height]. Rows of vertices are `side * sqrt(3) / 2` apart and every
+ * other row is shifted by half a side, so neighbouring vertices are all
+ * `side` apart.
+ * @param {number} width - Width of the area
+ * @param {number} height - Height of the area
+ * @param {number} side - Side length of each triangle
+ * @returns {{vertices: number[][], triangles: number[][][], edges: number[][][]}}
+ *   Lattice vertices as [x, y] points; triangle cells as counter-clockwise
+ *   point lists for drawPoints, alternating up and down along each row; and
+ *   each lattice edge once as a [start, end] pair of points
+ * @throws {Error} If the side length is not a positive number
+ */
+export function triangleGrid(width, height, side) {
+  if (!(side > 0) || !Number.isFinite(side)) {
+    throw new Error(
+      `triangleGrid: side must be a positive number, got ${side}`
+    );
+  }
+  const rowHeight = (side * Math.sqrt(3)) / 2;
+  const epsilon = side * 1e-9;
+
+  // Vertex rows, each with the index of its first vertex in `vertices`
+  const vertices = [];
+  const rows = [];
+  for (let j = 0; j * rowHeight <= height + epsilon; j++) {
+    const shift = j % 2 === 1 ? side / 2 : 0;
+    const row = [];
+    for (let i = 0; i * side + shift <= width + epsilon; i++) {
+      row.push(vertices.length);
+      vertices.push([i * side + shift, j * rowHeight]);
+    }
+    rows.push(row);
+  }
+
+  const triangles = [];
+  const edges = [];
+  const addTriangle = (a, b, c) => {
+    if (a === undefined || b === undefined || c === undefined) return;
+    triangles.push([vertices[a], vertices[b], vertices[c]]);
+  };
+  const addEdge = (a, b) => {
+    if (a === undefined || b === undefined) return;
+    edges.push([vertices[a], vertices[b]]);
+  };
+
+  rows.forEach((row, j) => {
+    for (let i = 0; i + 1 < row.length; i++) addEdge(row[i], row[i + 1]);
+    const above = rows[j + 1];
+    if (!above) return;
+
+    // Even rows sit half a side left of the row above, odd rows half a side
+    // right, which decides how vertices pair up across the gap
+    const count = Math.max(row.length, above.length);
+    for (let i = 0; i < count; i++) {
+      if (j % 2 === 0) {
+        addEdge(row[i], above[i]);
+        addEdge(row[i + 1], above[i]);
+        addTriangle(row[i], row[i + 1], above[i]);
+        addTriangle(row[i + 1], above[i + 1], above[i]);
+      } else {
+        addEdge(row[i], above[i]);
+        addEdge(row[i], above[i + 1]);
+        addTriangle(row[i], above[i + 1], above[i]);
+        addTriangle(row[i], row[i + 1], above[i + 1]);
+      }
+    }
+  });
+
+  return { vertices, triangles, edges };
+}
+
+/**
+ * Splits a point list into Catmull-Rom spans. Each span runs from p1 to p2 and
+ * carries its neighbours and knot values. Open paths get mirrored phantom
+ * points at the ends so the curve starts and finishes on the first and last
+ * points.
+ * @param {number[][]} points - Points to pass through
+ * @param {number} alpha - 0 uniform, 0.5 centripetal, 1 chordal
+ * @param {boolean} closed - Whether the curve loops back to the first point
+ * @returns {{p0: number[], p1: number[], p2: number[], p3: number[], t0: number, t1: number, t2: number, t3: number}[]}
+ */
+function catmullRomSpans(points, alpha, closed) {
+  const n = points.length;
+  const at = (i) => {
+    if (closed) return points[((i % n) + n) % n];
+    if (i < 0) return subtract(scale(points[0], 2), points[1]);
+    if (i >= n) return subtract(scale(points[n - 1], 2), points[n - 2]);
+    return points[i];
+  };
+  // Coincident points would give a zero knot interval, so fall back to 1
+  const interval = (a, b) => magnitude(subtract(b, a)) ** alpha || 1;
+
+  const spans = [];
+  const count = closed ? n : n - 1;
+  for (let i = 0; i < count; i++) {
+    const [p0, p1, p2, p3] = [at(i - 1), at(i), at(i + 1), at(i + 2)];
+    const t0 = 0;
+    const t1 = t0 + interval(p0, p1);
+    const t2 = t1 + interval(p1, p2);
+    const t3 = t2 + interval(p2, p3);
+    spans.push({ p0, p1, p2, p3, t0, t1, t2, t3 });
+  }
+  return spans;
+}
+
+/**
+ * Converts a Catmull-Rom span into cubic Bezier control points.
+ * @param {Object} span - A span from catmullRomSpans
+ * @returns {number[][]} [startControl, endControl]
+ */
+function catmullRomControls({ p0, p1, p2, p3, t0, t1, t2, t3 }) {
+  const slope = (a, b, ta, tb) => scale(subtract(b, a), 1 / (tb - ta));
+  const m1 = scale(
+    add(
+      subtract(slope(p0, p1, t0, t1), slope(p0, p2, t0, t2)),
+      slope(p1, p2, t1, t2)
+    ),
+    t2 - t1
+  );
+  const m2 = scale(
+    add(
+      subtract(slope(p1, p2, t1, t2), slope(p1, p3, t1, t3)),
+      slope(p2, p3, t2, t3)
+    ),
+    t2 - t1
+  );
+  return [add(p1, scale(m1, 1 / 3)), subtract(p2, scale(m2, 1 / 3))];
+}
+
+/**
+ * Interpolates a smooth Catmull-Rom curve through a list of points.
+ * Works in any dimension.
+ * @param {number[][]} points - Points the curve passes through
+ * @param {Object} [options]
+ * @param {number} [options.segments=8] - Points generated per span
+ * @param {number} [options.alpha=0.5] - 0 uniform, 0.5 centripetal (no cusps
+ *   or self-intersections within a span), 1 chordal
+ * @param {boolean} [options.closed=false] - Loop back to the first point
+ * @returns {number[][]} The sampled curve. Open curves start and end on the
+ *   first and last points; closed curves do not repeat the first point.
+ */
+export function catmullRom(
+  points,
+  { segments = 8, alpha = 0.5, closed = false } = {}
+) {
+  if (points.length < 2) return points.map((point) => [...point]);
+
+  const result = closed ? [] : [[...points[0]]];
+  for (const span of catmullRomSpans(points, alpha, closed)) {
+    const { p0, p1, p2, p3, t0, t1, t2, t3 } = span;
+    const lerp = (a, b, ta, tb, t) =>
+      add(scale(a, (tb - t) / (tb - ta)), scale(b, (t - ta) / (tb - ta)));
+    // Closed curves emit each span's start, open curves each span's end, so
+    // shared points are only added once
+    const [first, last] = closed ? [0, segments - 1] : [1, segments];
+    for (let s = first; s <= last; s++) {
+      if (s === 0 || s === segments) {
+        result.push([...(s === 0 ? p1 : p2)]);
+        continue;
+      }
+      const t = t1 + ((t2 - t1) * s) / segments;
+      const a1 = lerp(p0, p1, t0, t1, t);
+      const a2 = lerp(p1, p2, t1, t2, t);
+      const a3 = lerp(p2, p3, t2, t3, t);
+      const b1 = lerp(a1, a2, t0, t2, t);
+      const b2 = lerp(a2, a3, t1, t3, t);
+      result.push(lerp(b1, b2, t1, t2, t));
+    }
+  }
+  return result;
+}
+
+/**
+ * Smooths a polyline by Chaikin corner cutting: every edge is replaced by two
+ * points a quarter of the way in from each end. Each iteration doubles the
+ * number of points and the result converges to a quadratic B-spline.
+ * @param {number[][]} points - Polyline vertices
+ * @param {Object} [options]
+ * @param {number} [options.iterations=3] - Number of subdivision rounds
+ * @param {boolean} [options.closed=false] - Treat the polyline as a closed loop
+ * @param {number} [options.ratio=0.25] - How far in from each end to cut
+ * @returns {number[][]} The smoothed points. Open paths keep their end points.
+ */
+export function chaikin(
+  points,
+  { iterations = 3, closed = false, ratio = 0.25 } = {}
+) {
+  let result = points.map((point) => [...point]);
+  for (let k = 0; k < iterations && result.length > 2; k++) {
+    const next = closed ? [] : [result[0]];
+    const edges = closed ? result.length : result.length - 1;
+    for (let i = 0; i < edges; i++) {
+      const a = result[i];
+      const b = result[(i + 1) % result.length];
+      next.push(pointAlong(a, b, ratio), pointAlong(a, b, 1 - ratio));
+    }
+    if (!closed) next.push(result[result.length - 1]);
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Draws a smooth curve through a list of points using the provided pen.
+ * Each span of the Catmull-Rom curve through the points becomes one exact
+ * pen curve instead of a run of short lines.
+ * @param {Object} pen - The drawing pen (call draw())
+ * @param {number[][]} points - Points the curve passes through
+ * @param {Object} [options]
+ * @param {boolean} [options.closed=true] - Close the curve back to the first point
+ * @param {number} [options.alpha=0.5] - Catmull-Rom parameterization, see catmullRom
+ * @param {"bezier"|"spline"} [options.method="bezier"] - Draw each span with
+ *   cubicBezierCurveTo, or with smoothSplineTo given the same control points
+ *   as tangents and factors
+ * @returns {Object} The finished drawing
+ */
+export function drawSmooth(
+  pen,
+  points,
+  { closed = true, alpha = 0.5, method = "bezier" } = {}
+) {
+  let s = pen.movePointerTo(points[0]);
+  for (const span of catmullRomSpans(points, alpha, closed)) {
+    const [startControl, endControl] = catmullRomControls(span);
+    if (method === "spline") {
+      // smoothSplineTo normalizes the tangents and puts the control points a
+      // quarter of the chord times the factor away, so the factors carry the
+      // tangent lengths and the curve matches the bezier one
+      const startTangent = subtract(startControl, span.p1);
+      const endTangent = subtract(span.p2, endControl);
+      const reach = magnitude(subtract(span.p2, span.p1)) / 4;
+      s = s.smoothSplineTo(span.p2, {
+        startTangent,
+        endTangent,
+        startFactor: reach > 0 ? magnitude(startTangent) / reach : 1,
+        endFactor: reach > 0 ? magnitude(endTangent) / reach : 1,
+      });
+    } else {
+      s = s.cubicBezierCurveTo(span.p2, startControl, endControl);
+    }
+  }
+  return closed ? s.close() : s.done();
+}
+
+/**
+ * Rotates 2D points around the origin, then moves them to a new center.
+ * @param {number[][]} points - [x, y] points around the origin
+ * @param {number} rotation - Counter-clockwise rotation in degrees
+ * @param {number[]} center - [x, y] point to move the origin to
+ * @returns {number[][]} The transformed points
+ */
+function rotateAndCenter(points, rotation, center) {
+  const theta = (rotation * Math.PI) / 180;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  return points.map(([x, y]) => [
+    center[0] + x * cos - y * sin,
+    center[1] + x * sin + y * cos,
+  ]);
+}
+
+/**
+ * Generates the corners of a regular polygon, counter-clockwise, with the
+ * first corner on the +X axis before rotation.
+ * @param {number} sides - Number of sides
+ * @param {number} size - Circumradius, inradius or side length, see `measure`
+ * @param {Object} [options]
+ * @param {"circumradius"|"inradius"|"side"} [options.measure="circumradius"] -
+ *   What `size` measures: center to corner, center to edge, or edge length
+ * @param {number} [options.rotation=0] - Counter-clockwise rotation in degrees
+ * @param {number[]} [options.center=[0, 0]] - Center of the polygon
+ * @returns {number[][]} Array of [x, y] points for drawPoints
+ */
+export function regularPolygon(
+  sides,
+  size,
+  { measure = "circumradius", rotation = 0, center = [0, 0] } = {}
+) {
+  let radius = size;
+  if (measure === "inradius") radius = size / Math.cos(Math.PI / sides);
+  if (measure === "side") radius = size / (2 * Math.sin(Math.PI / sides));
+
+  const points = Array.from({ length: sides }, (_, i) =>
+    polarToCartesian(radius, (2 * Math.PI * i) / sides)
+  );
+  return rotateAndCenter(points, rotation, center);
+}
+
+/**
+ * Generates a star polygon alternating between outer and inner corners,
+ * counter-clockwise, with the first outer corner on the +X axis before
+ * rotation.
+ * @param {number} count - Number of star points
+ * @param {number} outerRadius - Distance from the center to the tips
+ * @param {number} innerRadius - Distance from the center to the inner corners
+ * @param {Object} [options]
+ * @param {number} [options.rotation=0] - Counter-clockwise rotation in degrees
+ * @param {number[]} [options.center=[0, 0]] - Center of the star
+ * @returns {number[][]} Array of 2 * count [x, y] points for drawPoints
+ */
+export function starPolygon(
+  count,
+  outerRadius,
+  innerRadius,
+  { rotation = 0, center = [0, 0] } = {}
+) {
+  const points = Array.from({ length: count * 2 }, (_, i) =>
+    polarToCartesian(
+      i % 2 === 0 ? outerRadius : innerRadius,
+      (Math.PI * i) / count
+    )
+  );
+  return rotateAndCenter(points, rotation, center);
+}
+
+/**
+ * Generates points on a superellipse |x / rx|^n + |y / ry|^n = 1,
+ * counter-clockwise from the +X axis. An exponent of 2 gives an ellipse,
+ * 4 a squircle; higher values get closer to a rectangle and values below 2
+ * pinch towards a diamond or star.
+ * @param {number} rx - Radius along X
+ * @param {number} ry - Radius along Y
+ * @param {number} exponent - The exponent n
+ * @param {Object} [options]
+ * @param {number} [options.segments=64] - Number of points
+ * @param {number} [options.rotation=0] - Counter-clockwise rotation in degrees
+ * @param {number[]} [options.center=[0, 0]] - Center of the shape
+ * @returns {number[][]} Array of [x, y] points for drawPoints
+ */
+export function superellipse(
+  rx,
+  ry,
+  exponent,
+  { segments = 64, rotation = 0, center = [0, 0] } = {}
+) {
+  // cos and sin are only ~1e-16 off zero on the axes, but raising that to a
+  // small power would visibly move the point, so snap it to zero first
+  const power = (value) =>
+    Math.abs(value) < 1e-12
+      ? 0
+      : Math.sign(value) * Math.abs(value) ** (2 / exponent);
+  const points = Array.from({ length: segments }, (_, i) => {
+    const t = (2 * Math.PI * i) / segments;
+    return [rx * power(Math.cos(t)), ry * power(Math.sin(t))];
+  });
+  return rotateAndCenter(points, rotation, center);
+}
+
+/**
+ * Generates points on an ellipse, counter-clockwise from the +X axis.
+ * @param {number} rx - Radius along X
+ * @param {number} ry - Radius along Y
+ * @param {Object} [options]
+ * @param {number} [options.segments=64] - Number of points
+ * @param {number} [options.rotation=0] - Counter-clockwise rotation in degrees
+ * @param {number[]} [options.center=[0, 0]] - Center of the ellipse
+ * @returns {number[][]} Array of [x, y] points for drawPoints
+ */
+export function ellipse(rx, ry, options) {
+  return superellipse(rx, ry, 2, options);
+}
+
+/**
+ * The involute function inv(a) = tan(a) - a.
+ * @param {number} angle - Angle in radians
+ * @returns {number}
+ */
+function involute(angle) {
+  return Math.tan(angle) - angle;
+}
+
+/**
+ * Generates the outline of an involute spur gear, plus the dimensions needed
+ * to place it. Uses the standard full-depth tooth (addendum 1 module,
+ * dedendum 1.25 modules). Below the base circle the flanks run straight down
+ * to the root circle; undercut from cutting is not modelled.
+ * @param {number} module - Gear module (pitch diameter / teeth), in mm
+ * @param {number} teeth - Number of teeth
+ * @param {Object} [options]
+ * @param {number} [options.pressureAngle=20] - Pressure angle in degrees
+ * @param {number} [options.backlash=0] - Amount the tooth is thinned at the
+ *   pitch circle, in mm
+ * @param {number} [options.profileShift=0] - Profile shift coefficient x;
+ *   moves the teeth outward by x modules
+ * @param {number} [options.flankSegments=8] - Segments along each flank
+ * @param {number} [options.arcSegments=3] - Segments across each tip and root
+ * @returns {{points: number[][], module: number, teeth: number, pressureAngle: number, profileShift: number, pitchDiameter: number, baseDiameter: number, outerDiameter: number, rootDiameter: number, circularPitch: number, toothThickness: number}}
+ *   The closed outline as [x, y] points for drawPoints (counter-clockwise,
+ *   centered on the origin, first tooth on the +X axis) and its dimensions
+ */
+export function gearProfile(
+  module,
+  teeth,
+  {
+    pressureAngle = 20,
+    backlash = 0,
+    profileShift = 0,
+    flankSegments = 8,
+    arcSegments = 3,
+  } = {}
+) {
+  const alpha = (pressureAngle * Math.PI) / 180;
+  const pitchRadius = (module * teeth) / 2;
+  const baseRadius = pitchRadius * Math.cos(alpha);
+  const rootRadius = pitchRadius - module * (1.25 - profileShift);
+  const toothThickness =
+    module * (Math.PI / 2 + 2 * profileShift * Math.tan(alpha)) - backlash;
+
+  // Half the angular width of a tooth at radius r
+  const halfAngle = (r) =>
+    toothThickness / (2 * pitchRadius) +
+    involute(alpha) -
+    involute(Math.acos(Math.min(baseRadius / r, 1)));
+
+  // A heavily shifted or small gear can come to a point below the nominal
+  // tip circle, so stop the flanks where they meet
+  let tipRadius = pitchRadius + module * (1 + profileShift);
+  if (halfAngle(tipRadius) < 0) {
+    let [low, high] = [Math.max(baseRadius, pitchRadius), tipRadius];
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (halfAngle(mid) > 0) low = mid;
+      else high = mid;
+    }
+    tipRadius = low;
+  }
+
+  // Flank radii from the bottom of the involute to the tip, evenly spaced in
+  // roll angle so the points bunch up where the curve bends most
+  const flankStart = Math.max(baseRadius, rootRadius);
+  const roll = (r) => Math.sqrt(Math.max((r / baseRadius) ** 2 - 1, 0));
+  const [rollStart, rollEnd] = [roll(flankStart), roll(tipRadius)];
+  const flankRadii = Array.from({ length: flankSegments + 1 }, (_, i) => {
+    const t = rollStart + ((rollEnd - rollStart) * i) / flankSegments;
+    return i === 0 ? flankStart : baseRadius * Math.sqrt(1 + t * t);
+  });
+  if (rootRadius < baseRadius) flankRadii.unshift(rootRadius);
+  const flankAngle = (r) => halfAngle(Math.max(r, baseRadius));
+
+  const points = [];
+  const pitchAngle = (2 * Math.PI) / teeth;
+  for (let k = 0; k < teeth; k++) {
+    const center = k * pitchAngle;
+    for (const r of flankRadii) {
+      points.push(polarToCartesian(r, center - flankAngle(r)));
+    }
+    const tipHalf = flankAngle(tipRadius);
+    for (let i = 1; i < arcSegments; i++) {
+      const angle = center - tipHalf + (2 * tipHalf * i) / arcSegments;
+      points.push(polarToCartesian(tipRadius, angle));
+    }
+    for (const r of [...flankRadii].reverse()) {
+      points.push(polarToCartesian(r, center + flankAngle(r)));
+    }
+    const rootStart = center + flankAngle(rootRadius);
+    const rootEnd = center + pitchAngle - flankAngle(rootRadius);
+    for (let i = 1; i < arcSegments; i++) {
+      const angle = rootStart + ((rootEnd - rootStart) * i) / arcSegments;
+      points.push(polarToCartesian(rootRadius, angle));
+    }
+  }
+
+  return {
+    points,
+    module,
+    teeth,
+    pressureAngle,
+    profileShift,
+    pitchDiameter: 2 * pitchRadius,
+    baseDiameter: 2 * baseRadius,
+    outerDiameter: 2 * tipRadius,
+    rootDiameter: 2 * rootRadius,
+    circularPitch: Math.PI * module,
+    toothThickness,
+  };
+}
+
+/**
+ * Finds the distance between the centers of two meshing gears from
+ * gearProfile. Without profile shift this is the sum of the pitch radii;
+ * with shift the working pressure angle is solved for so the teeth mesh
+ * without play.
+ * @param {Object} gear - A gear returned by gearProfile
+ * @param {Object} otherGear - The gear it meshes with (same module and
+ *   pressure angle)
+ * @returns {number} The center distance
+ */
+export function gearCenterDistance(gear, otherGear) {
+  const alpha = (gear.pressureAngle * Math.PI) / 180;
+  const teeth = gear.teeth + otherGear.teeth;
+  const shift = gear.profileShift + otherGear.profileShift;
+  const standard = (gear.module * teeth) / 2;
+  if (shift === 0) return standard;
+
+  // Solve inv(working angle) = inv(alpha) + 2 tan(alpha) (x1 + x2) / (z1 + z2)
+  // with Newton's method; the derivative of inv(a) is tan(a)^2
+  const target = involute(alpha) + (2 * Math.tan(alpha) * shift) / teeth;
+  let working = alpha;
+  for (let i = 0; i < 50; i++) {
+    const step = (involute(working) - target) / Math.tan(working) ** 2;
+    working -= step;
+    if (Math.abs(step) < 1e-15) break;
+  }
+  return (standard * Math.cos(alpha)) / Math.cos(working);
+}
+
+/**
+ * Accepts either a single ring or an array of rings and returns an array of
+ * rings, so functions can take `points` or `[outline, ...holes]` alike.
+ * @param {number[][]|number[][][]} polygon - A ring or an array of rings
+ * @returns {number[][][]} Array of rings
+ */
+function toRings(polygon) {
+  if (polygon.length === 0) return [];
+  return typeof polygon[0][0] === "number" ? [polygon] : polygon;
+}
+
+/**
+ * Even-odd point in ring test, casting a ray towards +X.
+ * @param {number[]} point - [x, y]
+ * @param {number[][]} ring - [x, y] points
+ * @returns {boolean} Whether the point is inside
+ */
+function insideRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Orients rings by how deeply they are nested: outlines counter-clockwise,
+ * holes clockwise, islands in holes counter-clockwise again.
+ * @param {number[][][]} rings - Non-crossing rings
+ * @returns {number[][][]} The rings, some of them reversed
+ */
+function orientRings(rings) {
+  return rings.map((ring) => {
+    let depth = 0;
+    for (const other of rings) {
+      if (other === ring) continue;
+      if (insideRing(ring[0], other)) depth++;
+    }
+    const counterClockwise = signedArea(ring) > 0;
+    return counterClockwise === (depth % 2 === 0) ? ring : [...ring].reverse();
+  });
+}
+
+/**
+ * Turns a ring or array of rings into non-overlapping rings with outlines
+ * counter-clockwise and holes clockwise. Self-intersecting rings keep every
+ * lobe.
+ * @param {number[][]|number[][][]} polygon - A ring or an array of rings
+ * @returns {number[][][]} Clean rings
+ */
+function cleanPolygon(polygon) {
+  return buildRegion(
+    [orientRings(toRings(polygon).filter((ring) => ring.length >= 3))],
+    ([w]) => w !== 0
+  );
+}
+
+/**
+ * Rebuilds the outline of a region described by winding numbers. Every edge
+ * of every ring is split where it meets another edge, each piece is kept if
+ * the region is on exactly one side of it, and the kept pieces are chained
+ * back into rings. Input rings may overlap and cross themselves.
+ * @param {number[][][][]} sets - One or more sets of rings
+ * @param {function(number[]): boolean} inside - Given the winding number of a
+ *   point with respect to each set, whether the point is in the region
+ * @returns {number[][][]} The region's boundary rings: outlines
+ *   counter-clockwise from largest to smallest, each followed by its holes,
+ *   which are clockwise
+ */
+function buildRegion(sets, inside) {
+  const edges = [];
+  for (const [set, rings] of sets.entries()) {
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        if (a[0] !== b[0] || a[1] !== b[1]) {
+          edges.push({ a, b, set, cuts: [0, 1] });
+        }
+      }
+    }
+  }
+  if (edges.length === 0) return [];
+
+  let extent = 0;
+  for (const { a } of edges) {
+    extent = Math.max(extent, Math.abs(a[0]), Math.abs(a[1]));
+  }
+  const tolerance = (extent || 1) * 1e-10;
+  const cross = (ux, uy, vx, vy) => ux * vy - uy * vx;
+
+  // Find every crossing, touch and collinear overlap, sweeping along X so
+  // only edges with overlapping X ranges are compared
+  const byMinX = [...edges].sort(
+    (e, f) => Math.min(e.a[0], e.b[0]) - Math.min(f.a[0], f.b[0])
+  );
+  for (let i = 0; i < byMinX.length; i++) {
+    const e = byMinX[i];
+    const [ex, ey] = [e.b[0] - e.a[0], e.b[1] - e.a[1]];
+    const eLength = Math.hypot(ex, ey);
+    const eMaxX = Math.max(e.a[0], e.b[0]) + tolerance;
+    const [eMinY, eMaxY] = [Math.min(e.a[1], e.b[1]), Math.max(e.a[1], e.b[1])];
+    for (let j = i + 1; j < byMinX.length; j++) {
+      const f = byMinX[j];
+      if (Math.min(f.a[0], f.b[0]) > eMaxX) break;
+      if (
+        Math.min(f.a[1], f.b[1]) > eMaxY + tolerance ||
+        Math.max(f.a[1], f.b[1]) < eMinY - tolerance
+      ) {
+        continue;
+      }
+      const [fx, fy] = [f.b[0] - f.a[0], f.b[1] - f.a[1]];
+      const fLength = Math.hypot(fx, fy);
+      const [gx, gy] = [f.a[0] - e.a[0], f.a[1] - e.a[1]];
+      const denominator = cross(ex, ey, fx, fy);
+
+      if (Math.abs(denominator) > 1e-12 * eLength * fLength) {
+        const t = cross(gx, gy, fx, fy) / denominator;
+        const u = cross(gx, gy, ex, ey) / denominator;
+        const [tSlack, uSlack] = [tolerance / eLength, tolerance / fLength];
+        if (t > -tSlack && t < 1 + tSlack && u > -uSlack && u < 1 + uSlack) {
+          e.cuts.push(Math.min(Math.max(t, 0), 1));
+          f.cuts.push(Math.min(Math.max(u, 0), 1));
+        }
+      } else if (Math.abs(cross(gx, gy, ex, ey)) / eLength <= tolerance) {
+        // Collinear: each edge is cut where the other one's ends lie on it
+        const along = (point, start, dx, dy, lengthSq) =>
+          ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSq;
+        for (const point of [f.a, f.b]) {
+          const t = along(point, e.a, ex, ey, eLength * eLength);
+          if (t > 0 && t < 1) e.cuts.push(t);
+        }
+        for (const point of [e.a, e.b]) {
+          const u = along(point, f.a, fx, fy, fLength * fLength);
+          if (u > 0 && u < 1) f.cuts.push(u);
+        }
+      }
+    }
+  }
+
+  // Merge points closer than the tolerance into shared vertices, looking in
+  // neighbouring grid cells so near points on a cell border still merge
+  const vertices = [];
+  const grid = new Map();
+  const cellSize = tolerance * 10;
+  const vertexId = ([x, y]) => {
+    const [gx, gy] = [Math.round(x / cellSize), Math.round(y / cellSize)];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const id of grid.get(`${gx + dx},${gy + dy}`) || []) {
+          const [vx, vy] = vertices[id];
+          if (Math.abs(vx - x) <= cellSize && Math.abs(vy - y) <= cellSize) {
+            return id;
+          }
+        }
+      }
+    }
+    const key = `${gx},${gy}`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(vertices.length);
+    vertices.push([x, y]);
+    return vertices.length - 1;
+  };
+
+  // Split edges into pieces between cuts. Pieces covering the same stretch
+  // are merged, adding up how many times each set runs along them (+1 from
+  // the lower vertex id to the higher, -1 the other way)
+  const pieces = new Map();
+  for (const { a, b, set, cuts } of edges) {
+    cuts.sort((s, t) => s - t);
+    let from = vertexId(a);
+    for (let k = 1; k < cuts.length; k++) {
+      if (cuts[k] === cuts[k - 1]) continue;
+      const to = vertexId(cuts[k] === 1 ? b : pointAlong(a, b, cuts[k]));
+      if (to !== from) {
+        const [u, v] = from < to ? [from, to] : [to, from];
+        const key = `${u},${v}`;
+        if (!pieces.has(key)) {
+          pieces.set(key, { u, v, net: new Array(sets.length).fill(0) });
+        }
+        pieces.get(key).net[set] += from < to ? 1 : -1;
+      }
+      from = to;
+    }
+  }
+
+  // Winding numbers use a ray towards +X, with edges bucketed by Y range
+  let [minY, maxY] = [Infinity, -Infinity];
+  for (const { a } of edges) {
+    minY = Math.min(minY, a[1]);
+    maxY = Math.max(maxY, a[1]);
+  }
+  const bucketCount = Math.max(1, Math.ceil(Math.sqrt(edges.length)));
+  const bucketHeight = (maxY - minY) / bucketCount || 1;
+  const bucketOf = (y) =>
+    Math.min(
+      bucketCount - 1,
+      Math.max(0, Math.floor((y - minY) / bucketHeight))
+    );
+  const buckets = Array.from({ length: bucketCount }, () => []);
+  for (const edge of edges) {
+    const low = bucketOf(Math.min(edge.a[1], edge.b[1]));
+    const high = bucketOf(Math.max(edge.a[1], edge.b[1]));
+    for (let k = low; k <= high; k++) buckets[k].push(edge);
+  }
+  const windingAt = ([x, y]) => {
+    const winding = new Array(sets.length).fill(0);
+    for (const { a, b, set } of buckets[bucketOf(y)]) {
+      const upward = a[1] <= y && b[1] > y;
+      if (!upward && !(b[1] <= y && a[1] > y)) continue;
+      const crossX = a[0] + ((y - a[1]) * (b[0] - a[0])) / (b[1] - a[1]);
+      if (crossX > x) winding[set] += upward ? 1 : -1;
+    }
+    return winding;
+  };
+
+  // Keep pieces with the region on one side only, directed so that the
+  // region is on their left
+  const outgoing = new Map();
+  for (const { u, v, net } of pieces.values()) {
+    const [p, q] = [vertices[u], vertices[v]];
+    const [dx, dy] = [q[0] - p[0], q[1] - p[1]];
+    const length = Math.hypot(dx, dy);
+    const offset = Math.min(tolerance * 100, length / 4) / length;
+    const left = windingAt([
+      (p[0] + q[0]) / 2 - dy * offset,
+      (p[1] + q[1]) / 2 + dx * offset,
+    ]);
+    const right = left.map((w, set) => w - net[set]);
+    const inLeft = inside(left);
+    if (inLeft === inside(right)) continue;
+    const [from, to] = inLeft ? [u, v] : [v, u];
+    if (!outgoing.has(from)) outgoing.set(from, []);
+    outgoing.get(from).push({ from, to, used: false });
+  }
+
+  // Chain pieces into rings. Where several rings meet at a vertex, leave
+  // along the first outgoing piece clockwise from the way we came in, which
+  // stays on the same side of the region
+  const angleOf = (from, to) =>
+    Math.atan2(
+      vertices[to][1] - vertices[from][1],
+      vertices[to][0] - vertices[from][0]
+    );
+  const rings = [];
+  for (const starts of outgoing.values()) {
+    for (const start of starts) {
+      if (start.used) continue;
+      start.used = true;
+      const ring = [start.from];
+      let current = start;
+      while (current.to !== start.from) {
+        const back = angleOf(current.to, current.from);
+        let best = null;
+        let bestTurn = Infinity;
+        for (const next of outgoing.get(current.to) || []) {
+          if (next.used) continue;
+          let turn = back - angleOf(next.from, next.to);
+          while (turn <= 0) turn += 2 * Math.PI;
+          while (turn > 2 * Math.PI) turn -= 2 * Math.PI;
+          if (turn < bestTurn) [best, bestTurn] = [next, turn];
+        }
+        if (!best) break;
+        best.used = true;
+        ring.push(best.from);
+        current = best;
+      }
+      if (current.to === start.from) rings.push(ring.map((id) => vertices[id]));
+    }
+  }
+
+  // Drop vertices in the middle of straight runs, then degenerate rings
+  const cleaned = rings
+    .map((ring) =>
+      ring.filter((point, i) => {
+        const prev = ring[(i + ring.length - 1) % ring.length];
+        const next = ring[(i + 1) % ring.length];
+        const [ux, uy] = [point[0] - prev[0], point[1] - prev[1]];
+        const [vx, vy] = [next[0] - point[0], next[1] - point[1]];
+        const scale = Math.hypot(ux, uy) * Math.hypot(vx, vy);
+        return (
+          Math.abs(cross(ux, uy, vx, vy)) > 1e-12 * scale ||
+          ux * vx + uy * vy < 0
+        );
+      })
+    )
+    .filter(
+      (ring) =>
+        ring.length >= 3 && Math.abs(signedArea(ring)) > tolerance * tolerance
+    );
+
+  // List outlines from largest to smallest, each followed by its holes. A
+  // hole belongs to the smallest outline containing a point just beside it
+  const outlines = cleaned
+    .filter((ring) => signedArea(ring) > 0)
+    .sort((r, s) => signedArea(s) - signedArea(r));
+  const holes = outlines.map(() => []);
+  for (const hole of cleaned.filter((ring) => signedArea(ring) < 0)) {
+    const [p, q] = hole;
+    const [dx, dy] = [q[0] - p[0], q[1] - p[1]];
+    const offset = Math.min(tolerance * 100, Math.hypot(dx, dy) / 4);
+    const beside = [
+      (p[0] + q[0]) / 2 - (dy / Math.hypot(dx, dy)) * offset,
+      (p[1] + q[1]) / 2 + (dx / Math.hypot(dx, dy)) * offset,
+    ];
+    const parent = outlines.findLastIndex((ring) => insideRing(beside, ring));
+    if (parent >= 0) holes[parent].push(hole);
+  }
+  return outlines.flatMap((outline, i) => [outline, ...holes[i]]);
+}
+
+/**
+ * Grows or shrinks a polygon by a fixed distance, like Clipper's offset.
+ *
+ * Each edge is moved outward by `distance` and the gaps at corners are filled
+ * with the chosen join. The raw result is then cleaned up so that overlaps
+ * and self-intersections disappear, which means a shape that is inset until
+ * it pinches apart comes back as several polygons, or none at all.
+ * @param {number[][]|number[][][]} polygon - A ring of [x, y] points, or an
+ *   array of rings where rings inside other rings are holes
+ * @param {number} distance - Positive to grow, negative to shrink
+ * @param {Object} [options]
+ * @param {"miter"|"round"|"square"} [options.join="miter"] - Corner style
+ * @param {number} [options.miterLimit=2] - Longest allowed miter, as a multiple
+ *   of the distance; sharper corners are squared off instead
+ * @param {number} [options.arcTolerance] - Largest gap between a round join
+ *   and the true arc (defaults to 1% of the distance)
+ * @returns {number[][][]} Resulting rings for drawPoints: outlines
+ *   counter-clockwise from largest to smallest, each followed by its holes,
+ *   which are clockwise
+ * @throws {Error} If the join is unknown or the arc tolerance is not positive
+ */
+export function offsetPolygon(
+  polygon,
+  distance,
+  { join = "miter", miterLimit = 2, arcTolerance } = {}
+) {
+  if (join !== "miter" && join !== "round" && join !== "square") {
+    throw new Error(
+      `offsetPolygon: unknown join "${join}", expected "miter", "round" or "square"`
+    );
+  }
+  if (arcTolerance !== undefined && !(arcTolerance > 0)) {
+    throw new Error(
+      `offsetPolygon: arcTolerance must be a positive number, got ${arcTolerance}`
+    );
+  }
+  const rings = cleanPolygon(polygon);
+  if (distance === 0) return rings;
+
+  const d = distance;
+  const size = Math.abs(d);
+  const tolerance = Math.min(arcTolerance ?? size / 100, size);
+  const arcStep = 2 * Math.acos(1 - tolerance / size);
+
+  const raw = rings.map((ring) => {
+    const result = [];
+    const n = ring.length;
+    for (let i = 0; i < n; i++) {
+      const p = ring[i];
+      const u0 = normalize(subtract(p, ring[(i + n - 1) % n]));
+      const u1 = normalize(subtract(ring[(i + 1) % n], p));
+      // Outward normals for a counter-clockwise ring
+      const n0 = [u0[1], -u0[0]];
+      const n1 = [u1[1], -u1[0]];
+      const a = add(p, scale(n0, d));
+      const b = add(p, scale(n1, d));
+      const turn = u0[0] * u1[1] - u0[1] * u1[0];
+      const straight = u0[0] * u1[0] + u0[1] * u1[1];
+
+      if (Math.abs(turn) < 1e-12 && straight > 0) {
+        result.push(a);
+        continue;
+      }
+      if (turn * d < 0) {
+        // The offset edges overlap here; going through the corner makes a
+        // small reversed loop that the clean-up removes
+        result.push(a, p, b);
+        continue;
+      }
+
+      const spike = Math.abs(turn) < 1e-12;
+      const miterRatio = spike ? Infinity : 2 / magnitude(add(n0, n1));
+      if (join === "miter" && miterRatio <= miterLimit) {
+        const c = 1 + n0[0] * n1[0] + n0[1] * n1[1];
+        result.push(add(p, scale(add(n0, n1), d / c)));
+      } else if (join === "round") {
+        const side = Math.sign(d);
+        const start = Math.atan2(n0[1] * side, n0[0] * side);
+        const sweep = spike
+          ? Math.PI * side
+          : Math.atan2(turn, n0[0] * n1[0] + n0[1] * n1[1]);
+        const steps = Math.max(1, Math.ceil(Math.abs(sweep) / arcStep));
+        for (let k = 0; k <= steps; k++) {
+          result.push(
+            add(p, polarToCartesian(size, start + (sweep * k) / steps))
+          );
+        }
+      } else {
+        // Square: cut the corner off at `distance` from the vertex
+        const m = spike ? u0 : scale(normalize(add(n0, n1)), Math.sign(d));
+        const t0 = (size - d * dotProduct(n0, m)) / dotProduct(u0, m);
+        const t1 = (size - d * dotProduct(n1, m)) / -dotProduct(u1, m);
+        result.push(add(a, scale(u0, t0)), subtract(b, scale(u1, t1)));
+      }
+    }
+    return result;
+  });
+
+  return buildRegion([raw], ([w]) => w > 0);
+}
+
+/**
+ * Combines polygons by how many of them cover each point. Every polygon is
+ * cleaned on its own first, so each one counts once wherever it is filled.
+ * @param {Array<number[][]|number[][][]>} polygons - Rings or arrays of rings
+ * @param {function(number): boolean} inside - Given how many polygons cover
+ *   a point, whether it is in the result
+ * @returns {number[][][]} Resulting rings
+ */
+function combinePolygons(polygons, inside) {
+  return buildRegion([polygons.flatMap(cleanPolygon)], ([count]) =>
+    inside(count)
+  );
+}
+
+/**
+ * Merges polygons into the area covered by any of them.
+ * @param {...(number[][]|number[][][])} polygons - Each a ring of [x, y]
+ *   points, or an array of rings where rings inside other rings are holes
+ * @returns {number[][][]} Resulting rings for drawPoints: outlines
+ *   counter-clockwise from largest to smallest, each followed by its holes,
+ *   which are clockwise
+ */
+export function polygonUnion(...polygons) {
+  return combinePolygons(polygons, (count) => count > 0);
+}
+
+/**
+ * Keeps the area covered by every one of the polygons.
+ * @param {...(number[][]|number[][][])} polygons - Rings or arrays of rings
+ * @returns {number[][][]} Resulting rings
+ */
+export function polygonIntersection(...polygons) {
+  if (polygons.length === 0) return [];
+  return combinePolygons(polygons, (count) => count === polygons.length);
+}
+
+/**
+ * Keeps the area covered by an odd number of the polygons. For two polygons
+ * that is the area covered by exactly one of them.
+ * @param {...(number[][]|number[][][])} polygons - Rings or arrays of rings
+ * @returns {number[][][]} Resulting rings
+ */
+export function polygonXor(...polygons) {
+  return combinePolygons(polygons, (count) => count % 2 === 1);
+}
+
+/**
+ * Removes the area of the clip polygons from the subject.
+ * @param {number[][]|number[][][]} subject - Ring or array of rings to cut
+ * @param {...(number[][]|number[][][])} clips - Rings or arrays of rings to
+ *   cut away
+ * @returns {number[][][]} Resulting rings
+ */
+export function polygonDifference(subject, ...clips) {
+  return buildRegion(
+    [cleanPolygon(subject), clips.flatMap(cleanPolygon)],
+    ([inSubject, inClips]) => inSubject > 0 && inClips === 0
+  );
+}
+
+/**
+ * Signed area of a polygon (shoelace formula).
+ * @param {number[][]} points - [x, y] points of a closed ring
+ * @returns {number} Area, positive for counter-clockwise rings and negative
+ *   for clockwise ones
+ */
+export function signedArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return sum / 2;
+}
+
+/**
+ * Whether a polygon runs counter-clockwise (with Y pointing up).
+ * @param {number[][]} points - [x, y] points of a closed ring
+ * @returns {boolean}
+ */
+export function isCounterClockwise(points) {
+  return signedArea(points) > 0;
+}
+
+/**
+ * Returns the polygon running counter-clockwise, reversing it if needed.
+ * @param {number[][]} points - [x, y] points of a closed ring
+ * @returns {number[][]} A new array of the same points
+ */
+export function ensureCounterClockwise(points) {
+  return signedArea(points) < 0 ? [...points].reverse() : [...points];
+}
+
+/**
+ * Center of mass of the area enclosed by a polygon. Falls back to the average
+ * of the points when the polygon has no area.
+ * @param {number[][]} points - [x, y] points of a closed ring
+ * @returns {number[]} [x, y] centroid
+ * @throws {Error} If there are no points
+ */
+export function polygonCentroid(points) {
+  if (points.length === 0) {
+    throw new Error("polygonCentroid: expected at least one point");
+  }
+  let [cx, cy, sum] = [0, 0, 0];
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+    sum += cross;
+  }
+  if (sum === 0) {
+    return scale(points.reduce(add), 1 / points.length);
+  }
+  return [cx / (3 * sum), cy / (3 * sum)];
+}
+
+/**
+ * Total length of a polygon's edges.
+ * @param {number[][]} points - Points in any dimension
+ * @param {Object} [options]
+ * @param {boolean} [options.closed=true] - Include the edge from the last point
+ *   back to the first
+ * @returns {number} Perimeter
+ */
+export function polygonPerimeter(points, { closed = true } = {}) {
+  return pathSegments(points, closed).length;
+}
+
+/**
+ * Tests whether a point lies inside a polygon, using the even-odd rule so
+ * that rings inside other rings act as holes. Points exactly on an edge may
+ * count as either inside or outside.
+ * @param {number[]} point - [x, y] point to test
+ * @param {number[][]|number[][][]} polygon - A ring of [x, y] points, or an
+ *   array of rings
+ * @returns {boolean} Whether the point is inside
+ */
+export function pointInPolygon(point, polygon) {
+  return toRings(polygon).reduce(
+    (inside, ring) => inside !== insideRing(point, ring),
+    false
+  );
+}
+
+/**
+ * Convex hull of a set of 2D points (Andrew's monotone chain).
+ * @param {number[][]} points - [x, y] points in any order
+ * @returns {number[][]} Hull corners, counter-clockwise and starting from the
+ *   lowest-leftmost point. Points along the hull's edges are left out
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+  const turn = (o, a, b) =>
+    (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const chain = (ordered) => {
+    const hull = [];
+    for (const point of ordered) {
+      while (
+        hull.length >= 2 &&
+        turn(hull[hull.length - 2], hull[hull.length - 1], point) <= 0
+      ) {
+        hull.pop();
+      }
+      hull.push(point);
+    }
+    return hull.slice(0, -1);
+  };
+  return [...chain(sorted), ...chain([...sorted].reverse())];
+}
+
+/**
+ * Delaunay triangulation of a set of 2D points (Bowyer-Watson, sweeping along
+ * X so that finished triangles drop out of the search early).
+ * @param {number[][]} points - [x, y] points
+ * @returns {number[][]} Triangles as counter-clockwise [i, j, k] index triples
+ *   into `points`. Repeated points are skipped, and all-collinear input gives
+ *   no triangles
+ */
+export function delaunay(points) {
+  const n = points.length;
+  if (n < 3) return [];
+  let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [x, y] of points) {
+    [minX, minY] = [Math.min(minX, x), Math.min(minY, y)];
+    [maxX, maxY] = [Math.max(maxX, x), Math.max(maxY, y)];
+  }
+  const size = Math.max(maxX - minX, maxY - minY) || 1;
+  const [midX, midY] = [(minX + maxX) / 2, (minY + maxY) / 2];
+  // A triangle around everything to start from, removed again at the end
+  const vertices = [
+    ...points,
+    [midX - 1000 * size, midY - 1000 * size],
+    [midX + 1000 * size, midY - 1000 * size],
+    [midX, midY + 1000 * size],
+  ];
+
+  const triangle = (a, b, c) => {
+    if (a >= n || b >= n || c >= n) return { a, b, c, right: Infinity };
+    const [ax, ay] = vertices[a];
+    const [bx, by] = [vertices[b][0] - ax, vertices[b][1] - ay];
+    const [cx, cy] = [vertices[c][0] - ax, vertices[c][1] - ay];
+    const d = 2 * (bx * cy - by * cx);
+    const ux = (cy * (bx * bx + by * by) - by * (cx * cx + cy * cy)) / d;
+    const uy = (bx * (cx * cx + cy * cy) - cx * (bx * bx + by * by)) / d;
+    return { a, b, c, right: ax + ux + Math.hypot(ux, uy) };
+  };
+  const inCircle = ({ a, b, c }, [x, y]) => {
+    const [adx, ady] = [vertices[a][0] - x, vertices[a][1] - y];
+    const [bdx, bdy] = [vertices[b][0] - x, vertices[b][1] - y];
+    const [cdx, cdy] = [vertices[c][0] - x, vertices[c][1] - y];
+    return (
+      (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy) -
+        (bdx * bdx + bdy * bdy) * (adx * cdy - cdx * ady) +
+        (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady) >
+      0
+    );
+  };
+
+  const order = points
+    .map((_, i) => i)
+    .sort((i, j) => points[i][0] - points[j][0] || points[i][1] - points[j][1]);
+  let active = [triangle(n, n + 1, n + 2)];
+  const finished = [];
+  let previous = null;
+  for (const i of order) {
+    const point = points[i];
+    if (previous && point[0] === previous[0] && point[1] === previous[1]) {
+      continue;
+    }
+    previous = point;
+    // Remove every triangle whose circumcircle holds the point, keeping the
+    // edges around the hole they leave
+    const boundary = new Map();
+    const addEdge = (u, v) => {
+      if (boundary.has(`${v},${u}`)) boundary.delete(`${v},${u}`);
+      else boundary.set(`${u},${v}`, [u, v]);
+    };
+    const kept = [];
+    for (const t of active) {
+      if (t.right < point[0]) {
+        finished.push(t);
+      } else if (inCircle(t, point)) {
+        addEdge(t.a, t.b);
+        addEdge(t.b, t.c);
+        addEdge(t.c, t.a);
+      } else {
+        kept.push(t);
+      }
+    }
+    for (const [u, v] of boundary.values()) kept.push(triangle(u, v, i));
+    active = kept;
+  }
+
+  return [...finished, ...active]
+    .filter(({ a, b, c }) => a < n && b < n && c < n)
+    .map(({ a, b, c }) => [a, b, c]);
+}
+
+/**
+ * Keeps the part of a convex ring on one side of a line (Sutherland-Hodgman).
+ * @param {number[][]} ring - [x, y] points
+ * @param {number[]} origin - A point on the line
+ * @param {number[]} normal - Points away from the side that is kept
+ * @returns {number[][]} The clipped ring, possibly empty
+ */
+function clipToHalfPlane(ring, origin, normal) {
+  const side = (point) => dotProduct(subtract(point, origin), normal);
+  const result = [];
+  for (let i = 0; i < ring.length; i++) {
+    const current = ring[i];
+    const next = ring[(i + 1) % ring.length];
+    const [s, t] = [side(current), side(next)];
+    if (s <= 0) result.push(current);
+    if ((s < 0 && t > 0) || (s > 0 && t < 0)) {
+      result.push(pointAlong(current, next, s / (s - t)));
+    }
+  }
+  return result;
+}
+
+/**
+ * Voronoi diagram of a set of 2D points, clipped to a region. Each cell is the
+ * part of the region closer to its point than to any other.
+ * @param {number[][]} points - [x, y] sites
+ * @param {{width: number, height: number}|number[][]|number[][][]} region -
+ *   Either a rectangle from the origin to [width, height] (as for
+ *   poissonDisc), or a polygon given as a ring or an array of rings
+ * @returns {Array<{site: number[], points: number[][], polygons: number[][][], neighbors: number[]}>}
+ *   One cell per point, in the same order. `points` is the cell outline
+ *   (counter-clockwise, empty if the cell misses the region), `polygons`
+ *   holds every piece when a non-convex region splits the cell, and
+ *   `neighbors` lists the indices of the cells sharing an edge with it
+ */
+export function voronoi(points, region) {
+  const rings = Array.isArray(region)
+    ? toRings(region)
+    : [
+        [
+          [0, 0],
+          [region.width, 0],
+          [region.width, region.height],
+          [0, region.height],
+        ],
+      ];
+  const outline = ensureCounterClockwise(rings[0] || []);
+  const convex =
+    rings.length === 1 &&
+    outline.every((point, i) => {
+      const prev = outline[(i + outline.length - 1) % outline.length];
+      const next = outline[(i + 1) % outline.length];
+      const [u, v] = [subtract(point, prev), subtract(next, point)];
+      return u[0] * v[1] - u[1] * v[0] >= 0;
+    });
+  // Non-convex regions are intersected with each cell at the end, so cells
+  // start out as the region's bounding box instead
+  let start = outline;
+  if (!convex) {
+    const all = rings.flat();
+    const xs = all.map(([x]) => x);
+    const ys = all.map(([, y]) => y);
+    const [x0, y0] = [Math.min(...xs), Math.min(...ys)];
+    const [x1, y1] = [Math.max(...xs), Math.max(...ys)];
+    start = [
+      [x0, y0],
+      [x1, y0],
+      [x1, y1],
+      [x0, y1],
+    ];
+  }
+
+  // Only Delaunay neighbors can share a cell edge. Repeated points share the
+  // cell of their first copy, and are listed as neighbors wherever it is
+  const first = new Map();
+  const copies = points.map(() => []);
+  const canonical = points.map((point, i) => {
+    const key = `${point[0]},${point[1]}`;
+    if (!first.has(key)) first.set(key, i);
+    copies[first.get(key)].push(i);
+    return first.get(key);
+  });
+  const candidates = points.map(() => new Set());
+  const triangles = delaunay(points);
+  for (const [a, b, c] of triangles) {
+    for (const [u, v] of [
+      [a, b],
+      [b, c],
+      [c, a],
+    ]) {
+      candidates[u].add(v);
+      candidates[v].add(u);
+    }
+  }
+  if (triangles.length === 0) {
+    // Collinear or fewer than three points: compare against everything
+    for (const [i, set] of candidates.entries()) {
+      for (const j of canonical) if (j !== canonical[i]) set.add(j);
+    }
+  }
+
+  let extent = 1;
+  for (const [x, y] of [...points, ...start]) {
+    extent = Math.max(extent, Math.abs(x), Math.abs(y));
+  }
+  const tolerance = extent * 1e-9;
+
+  return points.map((site, i) => {
+    const others = [...candidates[canonical[i]]];
+    let cell = start;
+    for (const j of others) {
+      const normal = subtract(points[j], site);
+      cell = clipToHalfPlane(cell, pointAlong(site, points[j], 0.5), normal);
+    }
+    let polygons = cell.length >= 3 ? [cell] : [];
+    if (polygons.length > 0 && !convex) {
+      polygons = polygonIntersection(cell, rings);
+    }
+
+    // A neighbor's bisector runs through the middle of a shared edge
+    const neighbors = others
+      .filter((j) =>
+        polygons.some((ring) =>
+          ring.some((point, k) => {
+            const next = ring[(k + 1) % ring.length];
+            if (magnitude(subtract(next, point)) <= tolerance) return false;
+            const middle = pointAlong(point, next, 0.5);
+            const toSite = magnitude(subtract(middle, site));
+            const toOther = magnitude(subtract(middle, points[j]));
+            return Math.abs(toSite - toOther) <= tolerance;
+          })
+        )
+      )
+      .flatMap((j) => copies[j]);
+    return { site, points: polygons[0] || [], polygons, neighbors };
+  });
+}
+
+/**
+ * Shortest distance from a point to a line segment, in any dimension.
+ * @param {number[]} point - The point
+ * @param {number[]} start - Segment start
+ * @param {number[]} end - Segment end
+ * @returns {number}
+ */
+function distanceToSegment(point, start, end) {
+  const direction = subtract(end, start);
+  const lengthSq = dotProduct(direction, direction);
+  const t =
+    lengthSq === 0
+      ? 0
+      : Math.min(
+          Math.max(dotProduct(subtract(point, start), direction) / lengthSq, 0),
+          1
+        );
+  return magnitude(subtract(point, pointAlong(start, end, t)));
+}
+
+/**
+ * Simplifies a polyline with the Douglas-Peucker algorithm, dropping points
+ * until no removed point is further than `tolerance` from the result.
+ * @param {number[][]} points - Points in any dimension
+ * @param {number} tolerance - Largest allowed distance from the original
+ * @param {Object} [options]
+ * @param {boolean} [options.closed=false] - Treat the points as a closed ring
+ * @returns {number[][]} The points that are kept, in order
+ */
+export function douglasPeucker(points, tolerance, { closed = false } = {}) {
+  if (points.length < 3) return points.map((point) => [...point]);
+
+  // Closed rings are split at the point furthest from the first one, and the
+  // two halves simplified like open paths
+  const path = closed ? [...points, points[0]] : points;
+  const keep = new Array(path.length).fill(false);
+  const last = path.length - 1;
+  keep[0] = keep[last] = true;
+  const stack = [[0, last]];
+  if (closed) {
+    let furthest = 0;
+    let furthestDistance = -1;
+    points.forEach((point, i) => {
+      const distance = magnitude(subtract(point, points[0]));
+      if (distance > furthestDistance)
+        [furthest, furthestDistance] = [i, distance];
+    });
+    keep[furthest] = true;
+    stack.splice(0, 1, [0, furthest], [furthest, last]);
+  }
+
+  while (stack.length > 0) {
+    const [first, end] = stack.pop();
+    let index = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < end; i++) {
+      const distance = distanceToSegment(path[i], path[first], path[end]);
+      if (distance > maxDistance) [index, maxDistance] = [i, distance];
+    }
+    if (index >= 0) {
+      keep[index] = true;
+      stack.push([first, index], [index, end]);
+    }
+  }
+
+  return path
+    .slice(0, closed ? -1 : undefined)
+    .filter((_, i) => keep[i])
+    .map((point) => [...point]);
+}
+
+/**
+ * Simplifies a polyline with the Visvalingam-Whyatt algorithm, repeatedly
+ * dropping the point whose triangle with its neighbors has the smallest area
+ * until every remaining triangle is at least `tolerance`.
+ * @param {number[][]} points - Points in any dimension
+ * @param {number} tolerance - Smallest triangle area to keep
+ * @param {Object} [options]
+ * @param {boolean} [options.closed=false] - Treat the points as a closed ring
+ * @returns {number[][]} The points that are kept, in order
+ */
+export function visvalingam(points, tolerance, { closed = false } = {}) {
+  const n = points.length;
+  const minimum = closed ? 3 : 2;
+  if (n <= minimum) return points.map((point) => [...point]);
+
+  const prev = points.map((_, i) => (i - 1 + n) % n);
+  const next = points.map((_, i) => (i + 1) % n);
+  const removed = new Array(n).fill(false);
+  const area = (i) => {
+    const u = subtract(points[prev[i]], points[i]);
+    const v = subtract(points[next[i]], points[i]);
+    const uu = dotProduct(u, u);
+    const vv = dotProduct(v, v);
+    const uv = dotProduct(u, v);
+    return Math.sqrt(Math.max(uu * vv - uv * uv, 0)) / 2;
+  };
+
+  // Binary min-heap of [area, index]; stale entries are skipped when popped
+  const heap = [];
+  const areas = new Array(n).fill(Infinity);
+  const push = (entry) => {
+    heap.push(entry);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const end = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = end;
+      for (let i = 0; ;) {
+        const [l, r] = [2 * i + 1, 2 * i + 2];
+        let smallest = i;
+        if (l < heap.length && heap[l][0] < heap[smallest][0]) smallest = l;
+        if (r < heap.length && heap[r][0] < heap[smallest][0]) smallest = r;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+  const update = (i) => {
+    if (!closed && (i === 0 || i === n - 1)) return;
+    areas[i] = area(i);
+    push([areas[i], i]);
+  };
+  points.forEach((_, i) => update(i));
+
+  let remaining = n;
+  while (heap.length > 0 && remaining > minimum) {
+    const [smallest, i] = pop();
+    if (removed[i] || smallest !== areas[i]) continue;
+    if (smallest >= tolerance) break;
+    removed[i] = true;
+    remaining--;
+    next[prev[i]] = next[i];
+    prev[next[i]] = prev[i];
+    update(prev[i]);
+    update(next[i]);
+  }
+
+  return points.filter((_, i) => !removed[i]).map((point) => [...point]);
+}
+
+/**
+ * Re-spaces a polyline so that its points are evenly spread along its length.
+ *
+ * Pass a number for a fixed count of points, or `{ spacing }` for points
+ * roughly that far apart. The spacing is adjusted so that it divides the
+ * path evenly, which keeps both ends of an open path.
+ * @param {number[][]} points - Points in any dimension
+ * @param {number|{spacing: number}} countOrSpacing - Number of points, or the
+ *   distance to aim for between them
+ * @param {Object} [options]
+ * @param {boolean} [options.closed=false] - Treat the points as a closed ring
+ * @returns {number[][]} New points along the same path
+ * @throws {Error} If the count is not a non-negative integer or the
+ *   spacing is not a positive number
+ */
+export function resample(points, countOrSpacing, { closed = false } = {}) {
+  if (points.length === 0) return [];
+  const { length } = pathSegments(points, closed);
+  let count = countOrSpacing;
+  if (typeof countOrSpacing === "number") {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(
+        `resample: count must be a non-negative integer, got ${count}`
+      );
+    }
+  } else {
+    const { spacing } = countOrSpacing || {};
+    if (!(spacing > 0) || !Number.isFinite(spacing)) {
+      throw new Error(
+        `resample: spacing must be a positive number, got ${spacing}`
+      );
+    }
+    const gaps = Math.max(1, Math.round(length / spacing));
+    count = closed ? gaps : gaps + 1;
+  }
+  const result = sampleAlongPath(
+    points,
+    evenDistances(length, count, closed),
+    closed
+  ).map(({ point }) => point);
+  // Land exactly on the end of open paths rather than close to it
+  if (!closed && count > 1) result[count - 1] = [...points.at(-1)];
+  return result;
+}
+
+/**
+ * Evaluates a Bezier curve of any degree with de Casteljau's algorithm.
+ * Three control points give a quadratic curve, four a cubic one.
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} t - Curve parameter from 0 (first point) to 1 (last point)
+ * @returns {number[]} Point on the curve
+ */
+export function bezierPoint(points, t) {
+  let level = points;
+  while (level.length > 1) {
+    level = level.slice(1).map((point, i) => pointAlong(level[i], point, t));
+  }
+  return [...level[0]];
+}
+
+/**
+ * Splits a Bezier curve in two at a parameter value (de Casteljau).
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} [t=0.5] - Where to split, from 0 to 1
+ * @returns {number[][][]} Control points of the part before and the part
+ *   after `t`, each with as many points as the original curve
+ */
+export function splitBezier(points, t = 0.5) {
+  const before = [[...points[0]]];
+  const after = [[...points.at(-1)]];
+  let level = points;
+  while (level.length > 1) {
+    level = level.slice(1).map((point, i) => pointAlong(level[i], point, t));
+    before.push(level[0]);
+    after.unshift(level.at(-1));
+  }
+  return [before, after];
+}
+
+/**
+ * Derivative of a Bezier curve with respect to its parameter.
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} t - Curve parameter from 0 to 1
+ * @param {number} [order=1] - 1 for velocity, 2 for acceleration, and so on
+ * @returns {number[]} Derivative vector, zero beyond the curve's degree
+ */
+export function bezierDerivative(points, t, order = 1) {
+  let controls = points;
+  for (let k = 0; k < order; k++) {
+    if (controls.length < 2) return points[0].map(() => 0);
+    const degree = controls.length - 1;
+    controls = controls
+      .slice(1)
+      .map((point, i) => scale(subtract(point, controls[i]), degree));
+  }
+  return bezierPoint(controls, t);
+}
+
+/**
+ * Unit tangent of a Bezier curve. Where the first derivative vanishes, for
+ * example at an end whose control point repeats it, the direction is taken
+ * from the next derivative instead.
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} t - Curve parameter from 0 to 1
+ * @returns {number[]} Unit direction of travel (zero for a single point)
+ */
+export function bezierTangent(points, t) {
+  return curveTangent((order) => bezierDerivative(points, t, order), points);
+}
+
+/**
+ * Approximates a Bezier curve by a polyline.
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} [tolerance=0.01] - Largest distance between the curve and
+ *   the polyline
+ * @returns {number[][]} Points along the curve, including both ends
+ */
+export function flattenBezier(points, tolerance = 0.01) {
+  return flattenCurve(
+    (t) => bezierPoint(points, t),
+    tolerance,
+    Math.max(1, points.length - 1)
+  );
+}
+
+/**
+ * Checks B-spline inputs and works out the knot vector and its valid range.
+ * @param {string} name - Calling function, for error messages
+ * @param {number[][]} points - Control points
+ * @param {Object} options - B-spline options, see bsplinePoint
+ * @returns {{degree: number, knots: number[], start: number, end: number}}
+ */
+function bsplineKnots(name, points, { degree = 3, knots, clamped = true }) {
+  const count = points.length;
+  if (!Number.isInteger(degree) || degree < 1) {
+    throw new Error(`${name}: degree must be a positive integer`);
+  }
+  if (count <= degree) {
+    throw new Error(
+      `${name}: a degree ${degree} B-spline needs at least ${degree + 1} control points`
+    );
+  }
+  if (knots) {
+    if (knots.length !== count + degree + 1) {
+      throw new Error(
+        `${name}: expected ${count + degree + 1} knots for ${count} control points of degree ${degree}`
+      );
+    }
+    if (knots.some((knot, i) => i > 0 && knot < knots[i - 1])) {
+      throw new Error(`${name}: knots must not decrease`);
+    }
+  } else if (clamped) {
+    // Repeated end knots make the curve start and end on the end points
+    const spans = count - degree;
+    knots = [
+      ...new Array(degree).fill(0),
+      ...Array.from({ length: spans + 1 }, (_, i) => i / spans),
+      ...new Array(degree).fill(1),
+    ];
+  } else {
+    knots = Array.from({ length: count + degree + 1 }, (_, i) => i);
+  }
+  return { degree, knots, start: knots[degree], end: knots[count] };
+}
+
+/**
+ * Evaluates a B-spline at a knot value with de Boor's algorithm.
+ * @param {number[][]} points - Control points
+ * @param {number} degree - Curve degree
+ * @param {number[]} knots - Knot vector
+ * @param {number} u - Knot value within the valid range
+ * @returns {number[]} Point on the curve
+ */
+function deBoor(points, degree, knots, u) {
+  let k = degree;
+  while (k < points.length - 1 && u >= knots[k + 1]) k++;
+  const d = points.slice(k - degree, k + 1);
+  for (let r = 1; r <= degree; r++) {
+    for (let j = degree; j >= r; j--) {
+      const i = j + k - degree;
+      const span = knots[i + degree - r + 1] - knots[i];
+      d[j] = pointAlong(d[j - 1], d[j], span === 0 ? 0 : (u - knots[i]) / span);
+    }
+  }
+  return [...d[degree]];
+}
+
+/**
+ * Evaluates a B-spline curve, uniform or with custom knots.
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} t - Curve parameter from 0 (start) to 1 (end), spread over
+ *   the valid knot range
+ * @param {Object} [options]
+ * @param {number} [options.degree=3] - Curve degree
+ * @param {number[]} [options.knots] - Non-uniform knot vector, with
+ *   `points.length + degree + 1` non-decreasing values
+ * @param {boolean} [options.clamped=true] - Without `knots`, whether to repeat
+ *   the end knots so that the curve starts and ends on the end points
+ * @returns {number[]} Point on the curve
+ * @throws {Error} If there are too few control points or the knots are invalid
+ */
+export function bsplinePoint(points, t, options = {}) {
+  const { degree, knots, start, end } = bsplineKnots(
+    "bsplinePoint",
+    points,
+    options
+  );
+  return deBoor(points, degree, knots, start + (end - start) * t);
+}
+
+/**
+ * Derivative of a B-spline curve with respect to `t` (as in bsplinePoint).
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} t - Curve parameter from 0 to 1
+ * @param {Object} [options] - Same as bsplinePoint, plus:
+ * @param {number} [options.order=1] - 1 for velocity, 2 for acceleration, and
+ *   so on
+ * @returns {number[]} Derivative vector, zero beyond the curve's degree
+ * @throws {Error} If there are too few control points or the knots are invalid
+ */
+export function bsplineDerivative(points, t, { order = 1, ...options } = {}) {
+  let { degree, knots, start, end } = bsplineKnots(
+    "bsplineDerivative",
+    points,
+    options
+  );
+  const u = start + (end - start) * t;
+  let controls = points;
+  for (let k = 0; k < order; k++) {
+    if (degree === 0) return points[0].map(() => 0);
+    // The derivative is a B-spline one degree lower on the inner knots
+    controls = controls.slice(1).map((point, i) => {
+      const span = knots[i + degree + 1] - knots[i + 1];
+      return scale(
+        subtract(point, controls[i]),
+        span === 0 ? 0 : degree / span
+      );
+    });
+    knots = knots.slice(1, -1);
+    degree--;
+  }
+  return scale(deBoor(controls, degree, knots, u), (end - start) ** order);
+}
+
+/**
+ * Unit tangent of a B-spline curve, falling back to higher derivatives where
+ * the first one vanishes.
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} t - Curve parameter from 0 to 1
+ * @param {Object} [options] - Same as bsplinePoint
+ * @returns {number[]} Unit direction of travel
+ * @throws {Error} If there are too few control points or the knots are invalid
+ */
+export function bsplineTangent(points, t, options = {}) {
+  return curveTangent(
+    (order) => bsplineDerivative(points, t, { ...options, order }),
+    points
+  );
+}
+
+/**
+ * Approximates a B-spline curve by a polyline.
+ * @param {number[][]} points - Control points in any dimension
+ * @param {number} [tolerance=0.01] - Largest distance between the curve and
+ *   the polyline
+ * @param {Object} [options] - Same as bsplinePoint
+ * @returns {number[][]} Points along the curve, including both ends
+ * @throws {Error} If there are too few control points or the knots are invalid
+ */
+export function flattenBspline(points, tolerance = 0.01, options = {}) {
+  const { degree, knots, start, end } = bsplineKnots(
+    "flattenBspline",
+    points,
+    options
+  );
+  return flattenCurve(
+    (t) => deBoor(points, degree, knots, start + (end - start) * t),
+    tolerance,
+    points.length - degree
+  );
+}
+
+/**
+ * Direction of the first derivative that is not zero.
+ * @param {function(number): number[]} derivative - Derivative of a given order
+ * @param {number[][]} points - Control points, bounding the useful orders
+ * @returns {number[]} Unit vector, or zero if the curve is a single point
+ */
+function curveTangent(derivative, points) {
+  for (let order = 1; order < points.length; order++) {
+    const direction = derivative(order);
+    if (magnitude(direction) > 0) return normalize(direction);
+  }
+  return points[0].map(() => 0);
+}
+
+/**
+ * Samples a parametric curve densely enough that the polyline between the
+ * samples stays within a tolerance, by splitting spans until points a
+ * quarter, half and three quarters of the way along lie close to the chord.
+ * @param {function(number): number[]} evaluate - Curve point for t in [0, 1]
+ * @param {number} tolerance - Largest allowed distance from the curve
+ * @param {number} spans - Number of spans to start with
+ * @returns {number[][]} Points from t = 0 to t = 1
+ */
+function flattenCurve(evaluate, tolerance, spans) {
+  const result = [evaluate(0)];
+  const refine = (t0, p0, t1, p1, depth) => {
+    const ts = [0.25, 0.5, 0.75].map((f) => t0 + (t1 - t0) * f);
+    const probes = ts.map(evaluate);
+    if (
+      depth < 16 &&
+      probes.some((probe) => distanceToSegment(probe, p0, p1) > tolerance)
+    ) {
+      refine(t0, p0, ts[1], probes[1], depth + 1);
+      refine(ts[1], probes[1], t1, p1, depth + 1);
+    } else {
+      result.push(p1);
+    }
+  };
+  for (let i = 0; i < spans; i++) {
+    refine(
+      i / spans,
+      result.at(-1),
+      (i + 1) / spans,
+      evaluate((i + 1) / spans),
+      0
+    );
+  }
+  return result;
+}
+
+/**
+ * Axis-aligned bounding box of a set of points, in any dimension.
+ * @param {number[][]} points - Points to measure
+ * @returns {{min: number[], max: number[], size: number[], center: number[]}}
+ *   Smallest and largest coordinates, their difference and their midpoint
+ * @throws {Error} If there are no points
+ */
+export function bounds(points) {
+  if (points.length === 0) {
+    throw new Error("bounds: expected at least one point");
+  }
+  const min = [...points[0]];
+  const max = [...points[0]];
+  for (const point of points) {
+    point.forEach((value, i) => {
+      if (value < min[i]) min[i] = value;
+      if (value > max[i]) max[i] = value;
+    });
+  }
+  return {
+    min,
+    max,
+    size: subtract(max, min),
+    center: pointAlong(min, max, 0.5),
+  };
+}
+
+/**
+ * Moves points so that the center of their bounding box lands on a target.
+ * @param {number[][]} points - Points in any dimension
+ * @param {number[]} [target] - Where the center should go (defaults to the
+ *   origin)
+ * @returns {number[][]} Moved copies of the points
+ */
+export function centerPoints(points, target) {
+  if (points.length === 0) return [];
+  const { center } = bounds(points);
+  const offset = subtract(target || center.map(() => 0), center);
+  return points.map((point) => add(point, offset));
+}
+
+/**
+ * Scales and moves points so that their bounding box fills a target box.
+ * Directions in which the points are flat (zero size) are only centered.
+ * @param {number[][]} points - Points in any dimension
+ * @param {{min: number[], max: number[]}} box - Target box, for example the
+ *   result of `bounds`
+ * @param {Object} [options]
+ * @param {boolean} [options.keepAspect=true] - Scale every direction by the
+ *   same amount, fitting the tightest one and centering in the others
+ * @returns {number[][]} Transformed copies of the points
+ */
+export function fitPoints(points, box, { keepAspect = true } = {}) {
+  if (points.length === 0) return [];
+  const source = bounds(points);
+  const targetSize = subtract(box.max, box.min);
+  const targetCenter = pointAlong(box.min, box.max, 0.5);
+  let factors = source.size.map((size, i) =>
+    size > 0 ? targetSize[i] / size : 0
+  );
+  if (keepAspect) {
+    const uniform = Math.min(
+      ...factors.filter((_, i) => source.size[i] > 0),
+      Infinity
+    );
+    factors = factors.map(() => (uniform === Infinity ? 0 : uniform));
+  }
+  return points.map((point) =>
+    point.map(
+      (value, i) => targetCenter[i] + (value - source.center[i]) * factors[i]
+    )
+  );
+}
+
+/**
+ * Moves points so that a chosen side of their bounding box lines up with a
+ * target, per axis. Axes without an alignment are left alone.
+ * @param {number[][]} points - Points in any dimension
+ * @param {{x?: string, y?: string, z?: string}} alignment - `"min"`,
+ *   `"center"` or `"max"` for each axis to align
+ * @param {number[]} [target] - Coordinates to align to (defaults to the
+ *   origin)
+ * @returns {number[][]} Moved copies of the points
+ * @throws {Error} If an alignment is not "min", "center" or "max"
+ */
+export function alignPoints(points, alignment, target) {
+  if (points.length === 0) return [];
+  const box = bounds(points);
+  const offset = box.min.map((_, i) => {
+    const side = alignment[["x", "y", "z"][i]];
+    if (side === undefined) return 0;
+    if (!["min", "center", "max"].includes(side)) {
+      throw new Error(
+        `alignPoints: unknown alignment "${side}", expected "min", "center" or "max"`
+      );
+    }
+    return (target ? target[i] : 0) - box[side][i];
+  });
+  return points.map((point) => add(point, offset));
+}
+
+/**
+ * Normals of the named planes, as used by replicad's `mirror`.
+ */
+const PLANE_NORMALS = {
+  XY: [0, 0, 1],
+  YZ: [1, 0, 0],
+  XZ: [0, 1, 0],
+};
+
+/**
+ * Identity matrix for 2D (3x3) or 3D (4x4) affine transforms.
+ * @param {number} [dimension=3] - 2 or 3
+ * @returns {number[][]} Matrix as an array of rows
+ */
+export function identityMatrix(dimension = 3) {
+  return Array.from({ length: dimension + 1 }, (_, i) =>
+    Array.from({ length: dimension + 1 }, (_, j) => (i === j ? 1 : 0))
+  );
+}
+
+/**
+ * Builds an affine matrix from a linear part and a translation.
+ * @param {number[][]} linear - 2x2 or 3x3 rows
+ * @param {number[]} offset - Translation
+ * @returns {number[][]} 3x3 or 4x4 matrix
+ */
+function affineMatrix(linear, offset) {
+  return [
+    ...linear.map((row, i) => [...row, offset[i]]),
+    [...linear.map(() => 0), 1],
+  ];
+}
+
+/**
+ * Matrix that moves points by an offset, like `shape.translate`.
+ * @param {number[]} offset - [x, y] for a 3x3 matrix or [x, y, z] for a 4x4
+ * @returns {number[][]} Matrix as an array of rows
+ */
+export function translationMatrix(offset) {
+  return affineMatrix(identityMatrix(offset.length - 1), offset);
+}
+
+/**
+ * Matrix that rotates points around a center, with the same arguments as
+ * replicad's `shape.rotate`. A 2D center gives a 3x3 matrix rotating
+ * counter-clockwise in the plane.
+ * @param {number} angle - Angle in degrees
+ * @param {number[]} [center=[0, 0, 0]] - Center of rotation, 2D or 3D
+ * @param {number[]} [axis=[0, 0, 1]] - Rotation axis (3D only)
+ * @returns {number[][]} 3x3 or 4x4 matrix
+ */
+export function rotationMatrix(angle, center = [0, 0, 0], axis = [0, 0, 1]) {
+  let linear;
+  if (center.length === 2) {
+    const theta = (angle * Math.PI) / 180;
+    const [cos, sin] = [Math.cos(theta), Math.sin(theta)];
+    linear = [
+      [cos, -sin],
+      [sin, cos],
+    ];
+  } else {
+    // Columns are the rotated unit vectors
+    const columns = identityMatrix(2).map((unit) =>
+      rotateAroundAxis(unit, axis, angle)
+    );
+    linear = columns.map((_, i) => columns.map((column) => column[i]));
+  }
+  return aboutCenter(linear, center);
+}
+
+/**
+ * Matrix that scales points from a center, like `shape.scale`.
+ * @param {number|number[]} factor - One factor for every axis, or one per axis
+ * @param {number[]} [center] - Fixed point, 2D or 3D (defaults to the origin)
+ * @returns {number[][]} 3x3 matrix for a 2D center or factor array, 4x4
+ *   otherwise
+ */
+export function scaleMatrix(factor, center) {
+  const dimension = Array.isArray(factor) ? factor.length : center?.length || 3;
+  const factors = Array.isArray(factor)
+    ? factor
+    : new Array(dimension).fill(factor);
+  const linear = factors.map((value, i) =>
+    factors.map((_, j) => (i === j ? value : 0))
+  );
+  return aboutCenter(linear, center || new Array(dimension).fill(0));
+}
+
+/**
+ * Matrix that shears points: the `axis` coordinate moves by `factor` times the
+ * `along` coordinate, measured from a center.
+ * @param {"X"|"Y"|"Z"} axis - Axis whose coordinate moves
+ * @param {"X"|"Y"|"Z"} along - Axis whose coordinate sets how far
+ * @param {number} factor - Movement per unit along `along`, the tangent of
+ *   the shear angle
+ * @param {number[]} [center] - Fixed point, 2D or 3D (defaults to the origin)
+ * @returns {number[][]} 3x3 matrix for a 2D center, 4x4 otherwise
+ * @throws {Error} If an axis is unknown or both axes are the same
+ */
+export function shearMatrix(axis, along, factor, center) {
+  const dimension = center?.length || 3;
+  const [i, j] = [axis, along].map((name) => {
+    const index = ["X", "Y", "Z"].slice(0, dimension).indexOf(name);
+    if (index < 0) {
+      const expected = dimension === 2 ? '"X" or "Y"' : '"X", "Y" or "Z"';
+      throw new Error(
+        `shearMatrix: unknown axis "${name}", expected ${expected}`
+      );
+    }
+    return index;
+  });
+  if (i === j) {
+    throw new Error(`shearMatrix: cannot shear ${axis} along itself`);
+  }
+  const linear = identityMatrix(dimension - 1);
+  linear[i][j] = factor;
+  return aboutCenter(linear, center || new Array(dimension).fill(0));
+}
+
+/**
+ * Matrix that reflects points across a plane (3D) or line (2D), like
+ * `shape.mirror`.
+ * @param {string|number[]} [plane="YZ"] - Plane name ("XY", "YZ", "XZ") or
+ *   normal vector. A 2D normal reflects across the line perpendicular to it
+ * @param {number[]} [origin] - A point on the plane or line (defaults to the
+ *   origin)
+ * @returns {number[][]} 3x3 or 4x4 matrix
+ * @throws {Error} If the plane name is unknown
+ */
+export function mirrorMatrix(plane = "YZ", origin) {
+  let normal = plane;
+  if (typeof plane === "string") {
+    normal = PLANE_NORMALS[plane];
+    if (!normal) {
+      throw new Error(
+        `mirrorMatrix: unknown plane "${plane}", expected "XY", "YZ" or "XZ"`
+      );
+    }
+  }
+  const n = normalize(normal);
+  // Householder reflection I - 2nn'
+  const linear = n.map((ni, i) =>
+    n.map((nj, j) => (i === j ? 1 : 0) - 2 * ni * nj)
+  );
+  return aboutCenter(linear, origin || n.map(() => 0));
+}
+
+/**
+ * Affine matrix applying a linear map around a fixed point.
+ * @param {number[][]} linear - 2x2 or 3x3 rows
+ * @param {number[]} center - Fixed point
+ * @returns {number[][]} 3x3 or 4x4 matrix
+ */
+function aboutCenter(linear, center) {
+  const offset = linear.map(
+    (row, i) =>
+      center[i] - row.reduce((sum, value, j) => sum + value * center[j], 0)
+  );
+  return affineMatrix(linear, offset);
+}
+
+/**
+ * Combines transforms into one matrix. Matrices are given in the order they
+ * are applied, the same way shape methods are chained.
+ * @param {...number[][]} matrices - Matrices of the same size
+ * @returns {number[][]} Matrix applying all of them in turn
+ * @throws {Error} If no matrices are given or their sizes differ
+ */
+export function composeMatrices(...matrices) {
+  if (matrices.length === 0) {
+    throw new Error("composeMatrices: expected at least one matrix");
+  }
+  const size = matrices[0].length;
+  if (matrices.some((matrix) => matrix.length !== size)) {
+    throw new Error("composeMatrices: matrices must all be the same size");
+  }
+  return matrices.reduce((result, matrix) =>
+    matrix.map((row) =>
+      result[0].map((_, j) =>
+        row.reduce((sum, value, k) => sum + value * result[k][j], 0)
+      )
+    )
+  );
+}
+
+/**
+ * Inverts a matrix (Gauss-Jordan elimination with partial pivoting).
+ * @param {number[][]} matrix - Square matrix
+ * @returns {number[][]} The inverse, undoing the transform
+ * @throws {Error} If the matrix is not invertible, such as a zero scale
+ */
+export function invertMatrix(matrix) {
+  const n = matrix.length;
+  const rows = matrix.map((row, i) => [
+    ...row,
+    ...row.map((_, j) => (i === j ? 1 : 0)),
+  ]);
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let i = column + 1; i < n; i++) {
+      if (Math.abs(rows[i][column]) > Math.abs(rows[pivot][column])) pivot = i;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) {
+      throw new Error("invertMatrix: matrix is not invertible");
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    const divisor = rows[column][column];
+    rows[column] = rows[column].map((value) => value / divisor);
+    for (let i = 0; i < n; i++) {
+      if (i === column) continue;
+      const factor = rows[i][column];
+      rows[i] = rows[i].map((value, j) => value - factor * rows[column][j]);
+    }
+  }
+  return rows.map((row) => row.slice(n));
+}
+
+/**
+ * Transforms a point by an affine matrix.
+ * @param {number[][]} matrix - 3x3 matrix for [x, y] or 4x4 for [x, y, z]
+ * @param {number[]} point - The point
+ * @returns {number[]} The transformed point
+ */
+export function applyMatrix(matrix, point) {
+  const homogeneous = [...point, 1];
+  return point.map((_, i) =>
+    matrix[i].reduce((sum, value, j) => sum + value * homogeneous[j], 0)
+  );
+}
+
+/**
+ * Transforms every point of an array by an affine matrix.
+ * @param {number[][]} matrix - 3x3 matrix for [x, y] or 4x4 for [x, y, z]
+ * @param {number[][]} points - The points
+ * @returns {number[][]} The transformed points
+ */
+export function applyMatrixToPoints(matrix, points) {
+  return points.map((point) => applyMatrix(matrix, point));
+}
+
+/**
+ * Hamilton product p * q, which rotates by q first and then by p.
+ * @param {number[]} p - Quaternion [w, x, y, z]
+ * @param {number[]} q - Quaternion [w, x, y, z]
+ * @returns {number[]} Product quaternion
+ */
+function multiplyQuaternions([pw, px, py, pz], [qw, qx, qy, qz]) {
+  return [
+    pw * qw - px * qx - py * qy - pz * qz,
+    pw * qx + px * qw + py * qz - pz * qy,
+    pw * qy - px * qz + py * qw + pz * qx,
+    pw * qz + px * qy - py * qx + pz * qw,
+  ];
+}
+
+/**
+ * Rotation quaternion from an axis and an angle, matching replicad's
+ * `rotate(angle, center, axis)` convention.
+ * @param {number[]} axis - Rotation axis [x, y, z]
+ * @param {number} angle - Angle in degrees, counter-clockwise when looking
+ *   down the axis
+ * @returns {number[]} Unit quaternion [w, x, y, z]
+ */
+export function quaternionFromAxisAngle(axis, angle) {
+  const half = (angle * Math.PI) / 360;
+  return [Math.cos(half), ...scale(normalize(axis), Math.sin(half))];
+}
+
+/**
+ * Rotation quaternion from Euler angles, applied about the fixed X, Y and Z
+ * axes in the given order. The default matches
+ * `shape.rotate(x, o, [1, 0, 0]).rotate(y, o, [0, 1, 0]).rotate(z, o, [0, 0, 1])`.
+ * @param {number[]} angles - [x, y, z] angles in degrees
+ * @param {Object} [options]
+ * @param {string} [options.order="XYZ"] - Order the rotations are applied in
+ * @returns {number[]} Unit quaternion [w, x, y, z]
+ * @throws {Error} If the order is not a permutation of "XYZ"
+ */
+export function quaternionFromEuler([x, y, z], { order = "XYZ" } = {}) {
+  if ([...order].sort().join("") !== "XYZ") {
+    throw new Error(
+      `quaternionFromEuler: order must use each of X, Y and Z once, got "${order}"`
+    );
+  }
+  const rotations = {
+    X: quaternionFromAxisAngle([1, 0, 0], x),
+    Y: quaternionFromAxisAngle([0, 1, 0], y),
+    Z: quaternionFromAxisAngle([0, 0, 1], z),
+  };
+  return composeQuaternions(...[...order].map((axis) => rotations[axis]));
+}
+
+/**
+ * Shortest rotation that turns one direction into another, for example to
+ * orient a strut along the line between two nodes.
+ * @param {number[]} from - Starting direction [x, y, z]
+ * @param {number[]} to - Target direction [x, y, z]
+ * @returns {number[]} Unit quaternion [w, x, y, z]
+ */
+export function quaternionBetween(from, to) {
+  const a = normalize(from);
+  const b = normalize(to);
+  const d = dotProduct(a, b);
+  if (d < -1 + 1e-12) {
+    // Opposite directions: half a turn around any perpendicular axis
+    let axis = cross(a, [1, 0, 0]);
+    if (magnitude(axis) < 1e-6) axis = cross(a, [0, 1, 0]);
+    return [0, ...normalize(axis)];
+  }
+  return normalize([1 + d, ...cross(a, b)]);
+}
+
+/**
+ * Combines rotations into one. Quaternions are given in the order they are
+ * applied, the same way shape methods are chained.
+ * @param {...number[]} quaternions - Quaternions [w, x, y, z]
+ * @returns {number[]} Quaternion applying all of them in turn
+ */
+export function composeQuaternions(...quaternions) {
+  return quaternions.reduce(
+    (result, quaternion) => multiplyQuaternions(quaternion, result),
+    [1, 0, 0, 0]
+  );
+}
+
+/**
+ * Spherical linear interpolation between two rotations, taking the shorter
+ * way around.
+ * @param {number[]} a - Rotation at t = 0, as [w, x, y, z]
+ * @param {number[]} b - Rotation at t = 1, as [w, x, y, z]
+ * @param {number} t - Proportion from 0 to 1
+ * @returns {number[]} Unit quaternion [w, x, y, z]
+ */
+export function slerpQuaternions(a, b, t) {
+  let d = dotProduct(a, b);
+  // q and -q are the same rotation; pick the one closer to a
+  if (d < 0) {
+    b = scale(b, -1);
+    d = -d;
+  }
+  if (d > 0.9995) return normalize(pointAlong(a, b, t));
+  const theta = Math.acos(d);
+  const sin = Math.sin(theta);
+  return add(
+    scale(a, Math.sin((1 - t) * theta) / sin),
+    scale(b, Math.sin(t * theta) / sin)
+  );
+}
+
+/**
+ * Rotates a 3D vector by a quaternion.
+ * @param {number[]} quaternion - Rotation [w, x, y, z]
+ * @param {number[]} vector - Vector [x, y, z]
+ * @returns {number[]} The rotated vector
+ */
+export function applyQuaternion(quaternion, vector) {
+  const [w, ...axis] = normalize(quaternion);
+  // v + 2w(u x v) + 2u x (u x v), with u the vector part
+  const t = scale(cross(axis, vector), 2);
+  return add(add(vector, scale(t, w)), cross(axis, t));
+}
+
+/**
+ * Converts a quaternion to the axis and angle that replicad's
+ * `rotate(angle, center, axis)` takes.
+ * @param {number[]} quaternion - Rotation [w, x, y, z]
+ * @returns {{axis: number[], angle: number}} Unit axis and angle in degrees
+ *   between 0 and 180. No rotation gives the Z axis and angle 0
+ */
+export function quaternionToAxisAngle(quaternion) {
+  let [w, ...axis] = normalize(quaternion);
+  if (w < 0) [w, axis] = [-w, scale(axis, -1)];
+  const angle = (2 * Math.acos(Math.min(w, 1)) * 180) / Math.PI;
+  const sin = magnitude(axis);
+  return { axis: sin < 1e-12 ? [0, 0, 1] : scale(axis, 1 / sin), angle };
+}
+
+/**
+ * Parameters of each vector function, for strict mode. Kinds are "vector",
+ * "same" (a vector as long as the first one), "number", "sameOrNumber" and
+ * "optionalSame". `dimensions` limits the allowed vector lengths.
+ */
+const VECTOR_SIGNATURES = {
+  add: {
+    params: [
+      ["point", "vector"],
+      ["otherPoint", "same"],
+    ],
+  },
+  subtract: {
+    params: [
+      ["point", "vector"],
+      ["otherPoint", "same"],
+    ],
+  },
+  dotProduct: {
+    params: [
+      ["vector", "vector"],
+      ["otherVector", "same"],
+    ],
+  },
+  scale: {
+    params: [
+      ["vector", "vector"],
+      ["factor", "number"],
+    ],
+  },
+  magnitude: { params: [["vector", "vector"]] },
+  normalize: { params: [["vector", "vector"]] },
+  polarToCartesian: {
+    params: [
+      ["r", "number"],
+      ["theta", "number"],
+    ],
+  },
+  pointAlong: {
+    params: [
+      ["vector1", "vector"],
+      ["vector2", "same"],
+      ["proportion", "number"],
+    ],
+  },
+  cross: {
+    params: [
+      ["vector", "vector"],
+      ["otherVector", "same"],
+    ],
+    dimensions: [2, 3],
+  },
+  distance: {
+    params: [
+      ["point", "vector"],
+      ["otherPoint", "same"],
+    ],
+  },
+  distanceSq: {
+    params: [
+      ["point", "vector"],
+      ["otherPoint", "same"],
+    ],
+  },
+  angleBetween: {
+    params: [
+      ["vector", "vector"],
+      ["otherVector", "same"],
+    ],
+  },
+  signedAngle: {
+    params: [
+      ["vector", "vector"],
+      ["otherVector", "same"],
+    ],
+    dimensions: [2],
+  },
+  project: {
+    params: [
+      ["vector", "vector"],
+      ["onto", "same"],
+    ],
+  },
+  reject: {
+    params: [
+      ["vector", "vector"],
+      ["from", "same"],
+    ],
+  },
+  reflect: {
+    params: [
+      ["vector", "vector"],
+      ["normal", "same"],
+    ],
+  },
+  rotate2D: {
+    params: [
+      ["vector", "vector"],
+      ["angle", "number"],
+      ["center", "optionalSame"],
+    ],
+    dimensions: [2],
+  },
+  perpendicular: { params: [["vector", "vector"]], dimensions: [2, 3] },
+  min: {
+    params: [
+      ["vector", "vector"],
+      ["otherVector", "same"],
+    ],
+  },
+  max: {
+    params: [
+      ["vector", "vector"],
+      ["otherVector", "same"],
+    ],
+  },
+  clamp: {
+    params: [
+      ["vector", "vector"],
+      ["low", "sameOrNumber"],
+      ["high", "sameOrNumber"],
+    ],
+  },
+  lerp: {
+    params: [
+      ["vector1", "vector"],
+      ["vector2", "same"],
+      ["weight", "sameOrNumber"],
+    ],
+  },
+};
+
+/**
+ * Wraps a vector function so that it checks its arguments before running.
+ * @param {string} name - Function name, for error messages
+ * @param {Function} fn - The function to wrap
+ * @param {{params: Array<string[]>, dimensions?: number[]}} signature - What
+ *   each argument should be, see VECTOR_SIGNATURES
+ * @returns {Function} Checked version of the function
+ */
+function strictVersion(name, fn, { params, dimensions }) {
+  const describe = (value) =>
+    value === null ? "null" : Array.isArray(value) ? "an array" : typeof value;
+  const checkNumber = (label, value) => {
+    if (typeof value !== "number") {
+      throw new Error(
+        `${name}: ${label} must be a number, got ${describe(value)}`
+      );
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error(`${name}: ${label} must be finite, got ${value}`);
+    }
+  };
+  const checkVector = (label, value) => {
+    if (!Array.isArray(value)) {
+      throw new Error(
+        `${name}: ${label} must be an array of numbers, got ${describe(value)}`
+      );
+    }
+    if (value.length === 0) {
+      throw new Error(`${name}: ${label} must not be empty`);
+    }
+    value.forEach((component, i) => checkNumber(`${label}[${i}]`, component));
+  };
+
+  return (...args) => {
+    const [firstLabel] = params[0];
+    params.forEach(([label, kind], i) => {
+      const value = args[i];
+      if (
+        kind === "number" ||
+        (kind === "sameOrNumber" && !Array.isArray(value))
+      ) {
+        checkNumber(label, value);
+        return;
+      }
+      if (kind === "optionalSame" && value === undefined) return;
+      checkVector(label, value);
+      if (kind === "vector") {
+        if (dimensions && !dimensions.includes(value.length)) {
+          throw new Error(
+            `${name}: ${label} must have ${dimensions.join(" or ")} components, got ${value.length}`
+          );
+        }
+      } else if (value.length !== args[0].length) {
+        throw new Error(
+          `${name}: ${label} has ${value.length} components but ${firstLabel} has ${args[0].length}`
+        );
+      }
+    });
+    return fn(...args);
+  };
+}
+
+/**
+ * Versions of the vector functions that check their arguments and throw
+ * descriptive errors for non-arrays, mismatched dimensions and NaN or
+ * Infinity components. The plain exports stay unchecked, so opting in costs
+ * nothing elsewhere.
+ * @example
+ * const { add, dotProduct } = strictVectors;
+ * add([1, 2], [3]); // Error: add: otherPoint has 1 components but point has 2
+ */
+export const strictVectors = Object.fromEntries(
+  Object.entries({
+    add,
+    subtract,
+    dotProduct,
+    scale,
+    magnitude,
+    normalize,
+    polarToCartesian,
+    pointAlong,
+    cross,
+    distance,
+    distanceSq,
+    angleBetween,
+    signedAngle,
+    project,
+    reject,
+    reflect,
+    rotate2D,
+    perpendicular,
+    min,
+    max,
+    clamp,
+    lerp,
+  }).map(([name, fn]) => [
+    name,
+    strictVersion(name, fn, VECTOR_SIGNATURES[name]),
+  ])
+);
+
+/**
+ * Packs points into a flat buffer, `stride` numbers per point, for the batch
+ * functions below.
+ * @param {number[][]} points - Points, e.g. from `poissonDisc`
+ * @param {Object} [options]
+ * @param {number} [options.stride] - Numbers per point (defaults to the
+ *   dimension of the first point). Missing components are filled with 0 and
+ *   extra ones are dropped
+ * @returns {Float64Array} The packed coordinates
+ */
+export function toPointBuffer(points, { stride } = {}) {
+  const size = stride || (points.length > 0 ? points[0].length : 2);
+  const buffer = new Float64Array(points.length * size);
+  points.forEach((point, i) => {
+    for (let j = 0; j < size && j < point.length; j++) {
+      buffer[i * size + j] = point[j];
+    }
+  });
+  return buffer;
+}
+
+/**
+ * Unpacks a flat point buffer into an array of points.
+ * @param {Float64Array} buffer - Packed coordinates
+ * @param {number} [stride=2] - Numbers per point
+ * @returns {number[][]} The points, e.g. for `drawPoints`
+ * @throws {Error} If the buffer length is not a multiple of the stride
+ */
+export function fromPointBuffer(buffer, stride = 2) {
+  const count = bufferPointCount("fromPointBuffer", buffer, stride);
+  const points = new Array(count);
+  for (let i = 0; i < count; i++) {
+    points[i] = Array.from(buffer.subarray(i * stride, (i + 1) * stride));
+  }
+  return points;
+}
+
+/**
+ * Number of points in a flat buffer.
+ * @param {string} name - Calling function, for error messages
+ * @param {Float64Array} buffer - Packed coordinates
+ * @param {number} stride - Numbers per point
+ * @returns {number} The point count
+ * @throws {Error} If the buffer length is not a multiple of the stride
+ */
+function bufferPointCount(name, buffer, stride) {
+  if (!Number.isInteger(stride) || stride < 1) {
+    throw new Error(`${name}: stride must be a positive integer`);
+  }
+  if (buffer.length % stride !== 0) {
+    throw new Error(
+      `${name}: buffer length ${buffer.length} is not a multiple of stride ${stride}`
+    );
+  }
+  return buffer.length / stride;
+}
+
+/**
+ * Buffer to write results into: `out` if given, otherwise a new one.
+ * @param {string} name - Calling function, for error messages
+ * @param {Float64Array} [out] - Caller's buffer
+ * @param {number} length - Required length
+ * @returns {Float64Array} Buffer of the required length
+ * @throws {Error} If `out` has the wrong length
+ */
+function outputBuffer(name, out, length) {
+  if (!out) return new Float64Array(length);
+  if (out.length !== length) {
+    throw new Error(
+      `${name}: out has length ${out.length}, expected ${length}`
+    );
+  }
+  return out;
+}
+
+/**
+ * Adds an offset to every point of a flat buffer, or adds two buffers point
+ * by point.
+ * @param {Float64Array} buffer - Packed coordinates
+ * @param {number} stride - Numbers per point
+ * @param {number[]|Float64Array} offset - One vector for every point, or a
+ *   buffer of the same length for point-by-point addition
+ * @param {Object} [options]
+ * @param {Float64Array} [options.out] - Where to write the result; pass
+ *   `buffer` to work in place
+ * @returns {Float64Array} The moved points
+ * @throws {Error} If the offset matches neither one point nor the buffer
+ */
+export function batchAdd(buffer, stride, offset, { out } = {}) {
+  bufferPointCount("batchAdd", buffer, stride);
+  const result = outputBuffer("batchAdd", out, buffer.length);
+  if (offset.length === buffer.length) {
+    for (let i = 0; i < buffer.length; i++) result[i] = buffer[i] + offset[i];
+  } else if (offset.length === stride) {
+    for (let i = 0; i < buffer.length; i++) {
+      result[i] = buffer[i] + offset[i % stride];
+    }
+  } else {
+    throw new Error(
+      `batchAdd: offset has length ${offset.length}, expected ${stride} or ${buffer.length}`
+    );
+  }
+  return result;
+}
+
+/**
+ * Scales every point of a flat buffer about the origin.
+ * @param {Float64Array} buffer - Packed coordinates
+ * @param {number} stride - Numbers per point
+ * @param {number|number[]} factor - Scale factor, or one per axis
+ * @param {Object} [options]
+ * @param {Float64Array} [options.out] - Where to write the result; pass
+ *   `buffer` to work in place
+ * @returns {Float64Array} The scaled points
+ * @throws {Error} If there is not one factor per axis
+ */
+export function batchScale(buffer, stride, factor, { out } = {}) {
+  bufferPointCount("batchScale", buffer, stride);
+  const result = outputBuffer("batchScale", out, buffer.length);
+  if (typeof factor === "number") {
+    for (let i = 0; i < buffer.length; i++) result[i] = buffer[i] * factor;
+  } else if (factor.length === stride) {
+    for (let i = 0; i < buffer.length; i++) {
+      result[i] = buffer[i] * factor[i % stride];
+    }
+  } else {
+    throw new Error(
+      `batchScale: expected ${stride} factors, got ${factor.length}`
+    );
+  }
+  return result;
+}
+
+/**
+ * Transforms every point of a flat buffer by an affine matrix, as
+ * `applyMatrixToPoints` does for arrays of points.
+ * @param {Float64Array} buffer - Packed coordinates
+ * @param {number} stride - Numbers per point
+ * @param {number[][]} matrix - Matrix of size stride + 1, e.g. 3x3 for 2D
+ *   points or 4x4 for 3D points
+ * @param {Object} [options]
+ * @param {Float64Array} [options.out] - Where to write the result; pass
+ *   `buffer` to work in place
+ * @returns {Float64Array} The transformed points
+ * @throws {Error} If the matrix size does not match the stride
+ */
+export function batchTransform(buffer, stride, matrix, { out } = {}) {
+  const count = bufferPointCount("batchTransform", buffer, stride);
+  if (matrix.length !== stride + 1) {
+    throw new Error(
+      `batchTransform: expected a ${stride + 1}x${stride + 1} matrix for stride ${stride}`
+    );
+  }
+  const result = outputBuffer("batchTransform", out, buffer.length);
+  const point = new Float64Array(stride);
+  for (let i = 0; i < count; i++) {
+    const start = i * stride;
+    for (let j = 0; j < stride; j++) point[j] = buffer[start + j];
+    for (let j = 0; j < stride; j++) {
+      const row = matrix[j];
+      let sum = row[stride];
+      for (let k = 0; k < stride; k++) sum += row[k] * point[k];
+      result[start + j] = sum;
+    }
+  }
+  return result;
+}
+
+/**
+ * Scales every vector of a flat buffer to length 1. Zero vectors are left
+ * unchanged, as with `normalize`.
+ * @param {Float64Array} buffer - Packed coordinates
+ * @param {number} stride - Numbers per vector
+ * @param {Object} [options]
+ * @param {Float64Array} [options.out] - Where to write the result; pass
+ *   `buffer` to work in place
+ * @returns {Float64Array} The unit vectors
+ */
+export function batchNormalize(buffer, stride, { out } = {}) {
+  const count = bufferPointCount("batchNormalize", buffer, stride);
+  const result = outputBuffer("batchNormalize", out, buffer.length);
+  for (let i = 0; i < count; i++) {
+    const start = i * stride;
+    let lengthSq = 0;
+    for (let j = 0; j < stride; j++) lengthSq += buffer[start + j] ** 2;
+    const factor = lengthSq === 0 ? 1 : 1 / Math.sqrt(lengthSq);
+    for (let j = 0; j < stride; j++) {
+      result[start + j] = buffer[start + j] * factor;
+    }
+  }
+  return result;
+}
+
+/**
+ * Distance from every point of a flat buffer to a target point, or between
+ * two buffers point by point.
+ * @param {Float64Array} buffer - Packed coordinates
+ * @param {number} stride - Numbers per point
+ * @param {number[]|Float64Array} [target] - One point to measure to, or a
+ *   buffer of the same length (defaults to the origin, giving magnitudes)
+ * @param {Object} [options]
+ * @param {Float64Array} [options.out] - Where to write the distances, one
+ *   per point
+ * @returns {Float64Array} The distances
+ * @throws {Error} If the target matches neither one point nor the buffer
+ */
+export function batchDistances(buffer, stride, target, { out } = {}) {
+  const count = bufferPointCount("batchDistances", buffer, stride);
+  const to = target || new Float64Array(stride);
+  if (to.length !== stride && to.length !== buffer.length) {
+    throw new Error(
+      `batchDistances: target has length ${to.length}, expected ${stride} or ${buffer.length}`
+    );
+  }
+  const paired = to.length === buffer.length;
+  const result = outputBuffer("batchDistances", out, count);
+  for (let i = 0; i < count; i++) {
+    const start = i * stride;
+    const targetStart = paired ? start : 0;
+    let sum = 0;
+    for (let j = 0; j < stride; j++) {
+      sum += (buffer[start + j] - to[targetStart + j]) ** 2;
+    }
+    result[i] = Math.sqrt(sum);
+  }
+  return result;
+}
+
+/**
+ * Axis-aligned bounding box of the points in a flat buffer, as `bounds`
+ * gives for arrays of points.
+ * @param {Float64Array} buffer - Packed coordinates
+ * @param {number} stride - Numbers per point
+ * @returns {{min: number[], max: number[], size: number[], center: number[]}}
+ *   Smallest and largest coordinates, their difference and their midpoint
+ * @throws {Error} If the buffer is empty
+ */
+export function batchBounds(buffer, stride) {
+  const count = bufferPointCount("batchBounds", buffer, stride);
+  if (count === 0) {
+    throw new Error("batchBounds: expected at least one point");
+  }
+  const min = Array.from(buffer.subarray(0, stride));
+  const max = [...min];
+  for (let i = stride; i < buffer.length; i += stride) {
+    for (let j = 0; j < stride; j++) {
+      const value = buffer[i + j];
+      if (value < min[j]) min[j] = value;
+      if (value > max[j]) max[j] = value;
+    }
   }
-  s.close();
+  return {
+    min,
+    max,
+    size: subtract(max, min),
+    center: pointAlong(min, max, 0.5),
+  };
 }
@@ -0,0 +1,210 @@
+import { describe, expect, test } from "bun:test";
+import {
+  signedArea,
+  isCounterClockwise,
+  ensureCounterClockwise,
+  polygonCentroid,
+  polygonPerimeter,
+  pointInPolygon,
+  convexHull,
+  regularPolygon,
+  RNG,
+} from "../prelude.js";
+
+const square = [
+  [0, 0],
+  [4, 0],
+  [4, 4],
+  [0, 4],
+];
+
+const lShape = [
+  [0, 0],
+  [4, 0],
+  [4, 2],
+  [2, 2],
+  [2, 4],
+  [0, 4],
+];
+
+describe("Polygon Analysis", () => {
+  describe("signedArea", () => {
+    test("is positive for counter-clockwise rings", () => {
+      expect(signedArea(square)).toBe(16);
+      expect(signedArea(lShape)).toBe(12);
+    });
+
+    test("is negative for clockwise rings", () => {
+      expect(signedArea([...square].reverse())).toBe(-16);
+    });
+
+    test("matches the formula for a regular polygon", () => {
+      const area = signedArea(regularPolygon(6, 2));
+      expect(area).toBeCloseTo((3 * Math.sqrt(3) * 4) / 2, 10);
+    });
+
+    test("is zero for fewer than three points", () => {
+      expect(signedArea([])).toBe(0);
+      expect(signedArea([[1, 1]])).toBe(0);
+    });
+  });
+
+  describe("isCounterClockwise / ensureCounterClockwise", () => {
+    test("detects the winding", () => {
+      expect(isCounterClockwise(square)).toBe(true);
+      expect(isCounterClockwise([...square].reverse())).toBe(false);
+    });
+
+    test("reverses clockwise rings only", () => {
+      const clockwise = [...square].reverse();
+      expect(ensureCounterClockwise(clockwise)).toEqual(square);
+      expect(ensureCounterClockwise(lShape)).toEqual(lShape);
+    });
+
+    test("returns a new array", () => {
+      const result = ensureCounterClockwise(square);
+      expect(result).not.toBe(square);
+      const reversed = [...square].reverse();
+      ensureCounterClockwise(reversed);
+      expect(reversed[0]).toEqual([0, 4]);
+    });
+  });
+
+  describe("polygonCentroid", () => {
+    test("is the middle of a square", () => {
+      expect(polygonCentroid(square)).toEqual([2, 2]);
+    });
+
+    test("weights by area rather than by vertex", () => {
+      // Two 2 x 4 strips overlapping in a 2 x 2 corner: 12 units of area
+      const [x, y] = polygonCentroid(lShape);
+      expect(x).toBeCloseTo(5 / 3, 10);
+      expect(y).toBeCloseTo(5 / 3, 10);
+    });
+
+    test("does not depend on the winding", () => {
+      expect(polygonCentroid([...lShape].reverse())).toEqual(
+        polygonCentroid(lShape)
+      );
+    });
+
+    test("falls back to the average for degenerate polygons", () => {
+      const line = [
+        [0, 0],
+        [2, 2],
+        [4, 4],
+      ];
+      expect(polygonCentroid(line)).toEqual([2, 2]);
+    });
+
+    test("throws for an empty point list", () => {
+      expect(() => polygonCentroid([])).toThrow(
+        "polygonCentroid: expected at least one point"
+      );
+    });
+  });
+
+  describe("polygonPerimeter", () => {
+    test("includes the closing edge by default", () => {
+      expect(polygonPerimeter(square)).toBe(16);
+    });
+
+    test("open paths skip the closing edge", () => {
+      expect(polygonPerimeter(square, { closed: false })).toBe(12);
+    });
+
+    test("works in 3D", () => {
+      const triangle = [
+        [0, 0, 0],
+        [3, 0, 0],
+        [3, 0, 4],
+      ];
+      expect(polygonPerimeter(triangle)).toBe(12);
+    });
+  });
+
+  describe("pointInPolygon", () => {
+    test("tells inside from outside", () => {
+      expect(pointInPolygon([1, 1], lShape)).toBe(true);
+      expect(pointInPolygon([3, 3], lShape)).toBe(false);
+      expect(pointInPolygon([-1, 1], lShape)).toBe(false);
+    });
+
+    test("does not depend on the winding", () => {
+      expect(pointInPolygon([1, 3], [...lShape].reverse())).toBe(true);
+    });
+
+    test("rings inside rings are holes", () => {
+      const frame = [
+        square,
+        [
+          [1, 1],
+          [3, 1],
+          [3, 3],
+          [1, 3],
+        ],
+      ];
+      expect(pointInPolygon([0.5, 2], frame)).toBe(true);
+      expect(pointInPolygon([2, 2], frame)).toBe(false);
+    });
+
+    test("filters poisson disc points to a shape", () => {
+      const hexagon = regularPolygon(6, 40, { center: [50, 50] });
+      const points = new RNG(42).poissonDisc(100, 100, 5);
+      const inside = points.filter((point) => pointInPolygon(point, hexagon));
+      expect(inside.length).toBeGreaterThan(0);
+      expect(inside.length).toBeLessThan(points.length);
+      for (const [x, y] of inside) {
+        expect(Math.hypot(x - 50, y - 50)).toBeLessThanOrEqual(40);
+      }
+    });
+  });
+
+  describe("convexHull", () => {
+    test("wraps the outer points counter-clockwise", () => {
+      const points = [
+        [2, 2],
+        [0, 0],
+        [4, 4],
+        [4, 0],
+        [1, 3],
+        [0, 4],
+      ];
+      expect(convexHull(points)).toEqual([
+        [0, 0],
+        [4, 0],
+        [4, 4],
+        [0, 4],
+      ]);
+    });
+
+    test("leaves out points along the edges", () => {
+      const points = [...square, [2, 0], [4, 2]];
+      expect(convexHull(points).length).toBe(4);
+    });
+
+    test("contains every input point", () => {
+      const rng = new RNG(7);
+      const points = Array.from({ length: 200 }, () => [
+        rng.uniform() * 10,
+        rng.uniform() * 10,
+      ]);
+      const hull = convexHull(points);
+      expect(isCounterClockwise(hull)).toBe(true);
+      for (let i = 0; i < hull.length; i++) {
+        const [ax, ay] = hull[i];
+        const [bx, by] = hull[(i + 1) % hull.length];
+        for (const [x, y] of points) {
+          expect((bx - ax) * (y - ay) - (by - ay) * (x - ax)).toBeGreaterThan(
+            -1e-12
+          );
+        }
+      }
+    });
+
+    test("returns small inputs unchanged", () => {
+      expect(convexHull([[1, 2]])).toEqual([[1, 2]]);
+      expect(convexHull([])).toEqual([]);
+    });
+  });
+});
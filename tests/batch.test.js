@@ -0,0 +1,227 @@
+import { describe, expect, test } from "bun:test";
+import {
+  toPointBuffer,
+  fromPointBuffer,
+  batchAdd,
+  batchScale,
+  batchTransform,
+  batchNormalize,
+  batchDistances,
+  batchBounds,
+  applyMatrixToPoints,
+  rotationMatrix,
+  composeMatrices,
+  scaleMatrix,
+  translationMatrix,
+  normalize,
+  bounds,
+  RNG,
+} from "../prelude.js";
+
+const points = [
+  [1, 2],
+  [-3, 4],
+  [0, 0],
+  [5, -1],
+];
+
+const expectCloseAll = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    expect(actual[i]).toBeCloseTo(expected[i], 10);
+  }
+};
+
+describe("Batch Vectors", () => {
+  describe("toPointBuffer / fromPointBuffer", () => {
+    test("round-trips points", () => {
+      const buffer = toPointBuffer(points);
+      expect(buffer).toBeInstanceOf(Float64Array);
+      expect(Array.from(buffer)).toEqual([1, 2, -3, 4, 0, 0, 5, -1]);
+      expect(fromPointBuffer(buffer)).toEqual(points);
+    });
+
+    test("infers the stride from the first point", () => {
+      const buffer = toPointBuffer([
+        [1, 2, 3],
+        [4, 5, 6],
+      ]);
+      expect(fromPointBuffer(buffer, 3)).toEqual([
+        [1, 2, 3],
+        [4, 5, 6],
+      ]);
+    });
+
+    test("stride pads missing components with 0 and drops extras", () => {
+      expect(Array.from(toPointBuffer([[1, 2]], { stride: 3 }))).toEqual([
+        1, 2, 0,
+      ]);
+      expect(Array.from(toPointBuffer([[1, 2, 3]], { stride: 2 }))).toEqual([
+        1, 2,
+      ]);
+    });
+
+    test("handles poissonDisc output", () => {
+      const samples = new RNG(7).poissonDisc(50, 50, 5);
+      expect(fromPointBuffer(toPointBuffer(samples))).toEqual(samples);
+    });
+
+    test("empty input gives an empty buffer", () => {
+      expect(toPointBuffer([]).length).toBe(0);
+      expect(fromPointBuffer(new Float64Array(0))).toEqual([]);
+    });
+
+    test("throws for a buffer that does not divide by the stride", () => {
+      expect(() => fromPointBuffer(new Float64Array(5), 2)).toThrow(
+        "fromPointBuffer: buffer length 5 is not a multiple of stride 2"
+      );
+      expect(() => fromPointBuffer(new Float64Array(4), 0)).toThrow(
+        "fromPointBuffer: stride must be a positive integer"
+      );
+    });
+  });
+
+  describe("batchAdd", () => {
+    test("adds one offset to every point", () => {
+      const result = batchAdd(toPointBuffer(points), 2, [10, 20]);
+      expect(fromPointBuffer(result)).toEqual([
+        [11, 22],
+        [7, 24],
+        [10, 20],
+        [15, 19],
+      ]);
+    });
+
+    test("adds two buffers point by point", () => {
+      const a = toPointBuffer(points);
+      expect(Array.from(batchAdd(a, 2, a))).toEqual(
+        Array.from(a).map((x) => x * 2)
+      );
+    });
+
+    test("returns a new buffer unless given one", () => {
+      const buffer = toPointBuffer(points);
+      const copy = batchAdd(buffer, 2, [1, 1]);
+      expect(copy).not.toBe(buffer);
+      expect(buffer[0]).toBe(1);
+      const same = batchAdd(buffer, 2, [1, 1], { out: buffer });
+      expect(same).toBe(buffer);
+      expect(buffer[0]).toBe(2);
+    });
+
+    test("throws for mismatched offsets and outputs", () => {
+      const buffer = toPointBuffer(points);
+      expect(() => batchAdd(buffer, 2, [1, 2, 3])).toThrow(
+        "batchAdd: offset has length 3, expected 2 or 8"
+      );
+      expect(() =>
+        batchAdd(buffer, 2, [1, 2], { out: new Float64Array(4) })
+      ).toThrow("batchAdd: out has length 4, expected 8");
+    });
+  });
+
+  describe("batchScale", () => {
+    test("scales uniformly or per axis", () => {
+      const buffer = toPointBuffer(points);
+      expect(Array.from(batchScale(buffer, 2, 2))).toEqual([
+        2, 4, -6, 8, 0, 0, 10, -2,
+      ]);
+      expect(Array.from(batchScale(buffer, 2, [1, -1]))).toEqual([
+        1, -2, -3, -4, 0, -0, 5, 1,
+      ]);
+    });
+
+    test("throws without one factor per axis", () => {
+      expect(() => batchScale(toPointBuffer(points), 2, [1, 2, 3])).toThrow(
+        "batchScale: expected 2 factors, got 3"
+      );
+    });
+  });
+
+  describe("batchTransform", () => {
+    test("matches applyMatrixToPoints in 2D", () => {
+      const matrix = composeMatrices(
+        scaleMatrix(2, [1, 1]),
+        rotationMatrix(30, [0, 1])
+      );
+      const result = batchTransform(toPointBuffer(points), 2, matrix);
+      expectCloseAll(result, applyMatrixToPoints(matrix, points).flat());
+    });
+
+    test("matches applyMatrixToPoints in 3D", () => {
+      const cloud = [
+        [1, 2, 3],
+        [-1, 0, 4],
+        [0, 0, 0],
+      ];
+      const matrix = composeMatrices(
+        rotationMatrix(45, [0, 0, 0], [1, 1, 0]),
+        translationMatrix([1, 2, 3])
+      );
+      const result = batchTransform(toPointBuffer(cloud), 3, matrix);
+      expectCloseAll(result, applyMatrixToPoints(matrix, cloud).flat());
+    });
+
+    test("works in place", () => {
+      const buffer = toPointBuffer(points);
+      const matrix = rotationMatrix(90, [0, 0]);
+      batchTransform(buffer, 2, matrix, { out: buffer });
+      expectCloseAll(buffer, applyMatrixToPoints(matrix, points).flat());
+    });
+
+    test("throws for a matrix of the wrong size", () => {
+      expect(() =>
+        batchTransform(toPointBuffer(points), 2, translationMatrix([1, 2, 3]))
+      ).toThrow("batchTransform: expected a 3x3 matrix for stride 2");
+    });
+  });
+
+  describe("batchNormalize", () => {
+    test("matches normalize and leaves zero vectors alone", () => {
+      const result = batchNormalize(toPointBuffer(points), 2);
+      expectCloseAll(result, points.map(normalize).flat());
+      expect(result[4]).toBe(0);
+      expect(result[5]).toBe(0);
+    });
+  });
+
+  describe("batchDistances", () => {
+    test("measures to the origin by default", () => {
+      expectCloseAll(batchDistances(toPointBuffer(points), 2), [
+        Math.sqrt(5),
+        5,
+        0,
+        Math.sqrt(26),
+      ]);
+    });
+
+    test("measures to a point", () => {
+      const result = batchDistances(toPointBuffer(points), 2, [1, 2]);
+      expectCloseAll(result, [0, Math.sqrt(20), Math.sqrt(5), Math.sqrt(25)]);
+    });
+
+    test("measures between two buffers point by point", () => {
+      const a = toPointBuffer(points);
+      const b = batchAdd(a, 2, [3, 4]);
+      expectCloseAll(batchDistances(a, 2, b), [5, 5, 5, 5]);
+    });
+
+    test("returns one distance per point", () => {
+      const result = batchDistances(toPointBuffer(points), 2);
+      expect(result).toBeInstanceOf(Float64Array);
+      expect(result.length).toBe(4);
+    });
+  });
+
+  describe("batchBounds", () => {
+    test("matches bounds", () => {
+      expect(batchBounds(toPointBuffer(points), 2)).toEqual(bounds(points));
+    });
+
+    test("throws for an empty buffer", () => {
+      expect(() => batchBounds(new Float64Array(0), 3)).toThrow(
+        "batchBounds: expected at least one point"
+      );
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, expect, test } from "bun:test";
+import {
+  polygonUnion,
+  polygonIntersection,
+  polygonDifference,
+  polygonXor,
+  regularPolygon,
+} from "../prelude.js";
+
+const signedArea = (points) => {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+};
+
+const totalArea = (rings) =>
+  rings.reduce((sum, ring) => sum + signedArea(ring), 0);
+
+const rect = (x, y, width, height) => [
+  [x, y],
+  [x + width, y],
+  [x + width, y + height],
+  [x, y + height],
+];
+
+const a = rect(0, 0, 4, 4);
+const b = rect(2, 2, 4, 4);
+
+describe("Polygon Booleans", () => {
+  describe("polygonUnion", () => {
+    test("merges overlapping squares into one outline", () => {
+      const result = polygonUnion(a, b);
+      expect(result.length).toBe(1);
+      expect(result[0].length).toBe(8);
+      expect(totalArea(result)).toBeCloseTo(28, 10);
+    });
+
+    test("keeps separate polygons apart", () => {
+      const result = polygonUnion(a, rect(10, 0, 2, 2));
+      expect(result.length).toBe(2);
+      expect(totalArea(result)).toBeCloseTo(20, 10);
+    });
+
+    test("squares sharing an edge fuse without a seam", () => {
+      const result = polygonUnion(rect(0, 0, 1, 1), rect(1, 0, 1, 1));
+      expect(result).toEqual([
+        [
+          [0, 0],
+          [2, 0],
+          [2, 1],
+          [0, 1],
+        ],
+      ]);
+    });
+
+    test("a ring of squares leaves a clockwise hole", () => {
+      const result = polygonUnion(
+        rect(0, 0, 3, 1),
+        rect(2, 0, 1, 3),
+        rect(0, 2, 3, 1),
+        rect(0, 0, 1, 3)
+      );
+      expect(result.length).toBe(2);
+      const areas = result.map(signedArea).sort((p, q) => p - q);
+      expect(areas[0]).toBeCloseTo(-1, 10);
+      expect(areas[1]).toBeCloseTo(9, 10);
+    });
+
+    test("fuses many small cells", () => {
+      const cells = [];
+      for (let i = 0; i < 10; i++) {
+        for (let j = 0; j < 10; j++) cells.push(rect(i, j, 1.5, 1.5));
+      }
+      const result = polygonUnion(...cells);
+      expect(result.length).toBe(1);
+      expect(totalArea(result)).toBeCloseTo(10.5 * 10.5, 10);
+    });
+
+    test("winding order of the inputs does not matter", () => {
+      const result = polygonUnion([...a].reverse(), b);
+      expect(totalArea(result)).toBeCloseTo(28, 10);
+    });
+
+    test("accepts polygons with holes", () => {
+      const framed = [rect(0, 0, 6, 6), rect(1, 1, 4, 4)];
+      const result = polygonUnion(framed, rect(2, 2, 1, 1));
+      expect(result.length).toBe(3);
+      expect(totalArea(result)).toBeCloseTo(36 - 16 + 1, 10);
+    });
+
+    test("returns nothing for no polygons", () => {
+      expect(polygonUnion()).toEqual([]);
+    });
+  });
+
+  describe("polygonIntersection", () => {
+    test("keeps the overlap", () => {
+      const result = polygonIntersection(a, b);
+      expect(result.length).toBe(1);
+      expect(totalArea(result)).toBeCloseTo(4, 10);
+      for (const [x, y] of result[0]) {
+        expect(x).toBeGreaterThanOrEqual(2);
+        expect(y).toBeLessThanOrEqual(4);
+      }
+    });
+
+    test("requires every polygon to cover the area", () => {
+      const result = polygonIntersection(a, b, rect(3, 0, 10, 10));
+      expect(totalArea(result)).toBeCloseTo(2, 10);
+    });
+
+    test("disjoint polygons give nothing", () => {
+      expect(polygonIntersection(a, rect(10, 10, 1, 1))).toEqual([]);
+    });
+
+    test("the hole of one polygon is excluded", () => {
+      const framed = [rect(0, 0, 6, 6), rect(1, 1, 4, 4)];
+      const result = polygonIntersection(framed, rect(0, 0, 3, 3));
+      expect(totalArea(result)).toBeCloseTo(9 - 4, 10);
+    });
+  });
+
+  describe("polygonDifference", () => {
+    test("removes the clip from the subject", () => {
+      const result = polygonDifference(a, b);
+      expect(result.length).toBe(1);
+      expect(totalArea(result)).toBeCloseTo(12, 10);
+    });
+
+    test("a clip inside the subject becomes a hole", () => {
+      const result = polygonDifference(a, rect(1, 1, 2, 2));
+      expect(result.length).toBe(2);
+      expect(result.map(signedArea).sort((p, q) => p - q)).toEqual([-4, 16]);
+    });
+
+    test("several clips are all removed", () => {
+      const result = polygonDifference(
+        rect(0, 0, 10, 1),
+        rect(2, -1, 1, 3),
+        rect(6, -1, 1, 3)
+      );
+      expect(result.length).toBe(3);
+      expect(totalArea(result)).toBeCloseTo(8, 10);
+    });
+
+    test("a clip covering everything leaves nothing", () => {
+      expect(polygonDifference(a, rect(-1, -1, 10, 10))).toEqual([]);
+    });
+
+    test("results can be fed back in", () => {
+      const holed = polygonDifference(a, rect(1, 1, 2, 2));
+      const result = polygonDifference(holed, rect(0, 0, 2, 4));
+      expect(totalArea(result)).toBeCloseTo(8 - 2, 10);
+    });
+  });
+
+  describe("polygonXor", () => {
+    test("keeps the areas covered by exactly one polygon", () => {
+      const result = polygonXor(a, b);
+      expect(totalArea(result)).toBeCloseTo(24, 10);
+    });
+
+    test("three overlapping squares keep the odd counts", () => {
+      const result = polygonXor(
+        rect(0, 0, 2, 2),
+        rect(0, 0, 2, 2),
+        rect(0, 0, 2, 2)
+      );
+      expect(totalArea(result)).toBeCloseTo(4, 10);
+    });
+  });
+
+  test("each outline is followed by its own holes", () => {
+    const small = [rect(20, 0, 4, 4), rect(21, 1, 2, 2)];
+    const large = [rect(0, 0, 10, 10), rect(1, 1, 2, 2), rect(5, 5, 2, 2)];
+    const result = polygonUnion(small, large);
+    expect(result.map(signedArea)).toEqual([100, -4, -4, 16, -4]);
+    for (const [x] of result.slice(3).flat()) expect(x).toBeGreaterThan(19);
+  });
+
+  test("outputs are counter-clockwise outlines", () => {
+    const hexes = [0, 1, 2].map((i) =>
+      regularPolygon(6, 1, { center: [i * 1.5, 0] })
+    );
+    for (const ring of polygonUnion(...hexes)) {
+      expect(signedArea(ring)).toBeGreaterThan(0);
+    }
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, expect, test } from "bun:test";
+import {
+  bounds,
+  centerPoints,
+  fitPoints,
+  alignPoints,
+  RNG,
+} from "../prelude.js";
+
+const triangle = [
+  [1, 1],
+  [3, 2],
+  [2, 5],
+];
+
+const box = { min: [0, 0], max: [10, 10] };
+
+describe("Bounds and Fitting", () => {
+  describe("bounds", () => {
+    test("returns min, max, size and center", () => {
+      expect(bounds(triangle)).toEqual({
+        min: [1, 1],
+        max: [3, 5],
+        size: [2, 4],
+        center: [2, 3],
+      });
+    });
+
+    test("works in 3D", () => {
+      const { min, max, size } = bounds([
+        [0, 0, -2],
+        [1, 4, 2],
+      ]);
+      expect(min).toEqual([0, 0, -2]);
+      expect(max).toEqual([1, 4, 2]);
+      expect(size).toEqual([1, 4, 4]);
+    });
+
+    test("a single point has zero size", () => {
+      expect(bounds([[2, 3]]).size).toEqual([0, 0]);
+    });
+
+    test("does not share arrays with the input", () => {
+      const points = [[1, 2]];
+      const { min } = bounds(points);
+      min[0] = 99;
+      expect(points[0]).toEqual([1, 2]);
+    });
+
+    test("throws for no points", () => {
+      expect(() => bounds([])).toThrow("bounds: expected at least one point");
+    });
+  });
+
+  describe("centerPoints", () => {
+    test("centers on the origin by default", () => {
+      expect(bounds(centerPoints(triangle)).center).toEqual([0, 0]);
+    });
+
+    test("centers on a target", () => {
+      expect(bounds(centerPoints(triangle, [5, -5])).center).toEqual([5, -5]);
+    });
+
+    test("keeps the size and does not modify the input", () => {
+      const copy = triangle.map((point) => [...point]);
+      expect(bounds(centerPoints(copy)).size).toEqual([2, 4]);
+      expect(copy).toEqual(triangle);
+    });
+
+    test("returns an empty list for no points", () => {
+      expect(centerPoints([])).toEqual([]);
+    });
+  });
+
+  describe("fitPoints", () => {
+    test("keeps the aspect ratio by default", () => {
+      const fitted = bounds(fitPoints(triangle, box));
+      expect(fitted.size).toEqual([5, 10]);
+      expect(fitted.center).toEqual([5, 5]);
+    });
+
+    test("stretches each axis without keepAspect", () => {
+      const fitted = bounds(fitPoints(triangle, box, { keepAspect: false }));
+      expect(fitted.min).toEqual([0, 0]);
+      expect(fitted.max).toEqual([10, 10]);
+    });
+
+    test("fits poisson disc output to a part exactly", () => {
+      const points = new RNG(4).poissonDisc(80, 50, 6);
+      const target = { min: [-20, -10], max: [20, 10] };
+      const fitted = bounds(fitPoints(points, target, { keepAspect: false }));
+      expect(fitted.min[0]).toBeCloseTo(-20, 10);
+      expect(fitted.min[1]).toBeCloseTo(-10, 10);
+      expect(fitted.max[0]).toBeCloseTo(20, 10);
+      expect(fitted.max[1]).toBeCloseTo(10, 10);
+    });
+
+    test("accepts the bounds of another point set", () => {
+      const other = [
+        [0, 0],
+        [4, 8],
+      ];
+      const fitted = bounds(fitPoints(triangle, bounds(other)));
+      expect(fitted.size).toEqual([4, 8]);
+    });
+
+    test("flat directions are centered without scaling", () => {
+      const line = [
+        [0, 3],
+        [2, 3],
+      ];
+      expect(fitPoints(line, box)).toEqual([
+        [0, 5],
+        [10, 5],
+      ]);
+      expect(fitPoints([[1, 1]], box)).toEqual([[5, 5]]);
+    });
+
+    test("works in 3D", () => {
+      const cube = [
+        [0, 0, 0],
+        [1, 1, 1],
+      ];
+      const fitted = fitPoints(cube, { min: [0, 0, 0], max: [2, 4, 6] });
+      expect(bounds(fitted).size).toEqual([2, 2, 2]);
+      expect(bounds(fitted).center).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe("alignPoints", () => {
+    test("aligns the chosen sides to the origin", () => {
+      const aligned = bounds(alignPoints(triangle, { x: "min", y: "max" }));
+      expect(aligned.min[0]).toBe(0);
+      expect(aligned.max[1]).toBe(0);
+    });
+
+    test("aligns to a target", () => {
+      const aligned = bounds(alignPoints(triangle, { x: "center" }, [10, 0]));
+      expect(aligned.center[0]).toBe(10);
+      // y is left alone
+      expect(aligned.min[1]).toBe(1);
+    });
+
+    test("sits a 3D point set on the XY plane", () => {
+      const points = [
+        [1, 1, 3],
+        [2, 2, 7],
+      ];
+      const aligned = alignPoints(points, { z: "min" });
+      expect(aligned).toEqual([
+        [1, 1, 0],
+        [2, 2, 4],
+      ]);
+    });
+
+    test("rejects unknown alignments", () => {
+      expect(() => alignPoints(triangle, { x: "left" })).toThrow(
+        'alignPoints: unknown alignment "left"'
+      );
+    });
+  });
+});
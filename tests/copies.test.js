@@ -0,0 +1,434 @@
+import { describe, expect, test } from "bun:test";
+import {
+  linearCopies,
+  gridCopies,
+  pathCopies,
+  mirrorCopies,
+  dihedralCopies,
+} from "../prelude.js";
+
+// Mock shape that tracks its position and Z rotation through transforms
+const createTranslatableShape = (name) => ({
+  name,
+  x: 0,
+  y: 0,
+  z: 0,
+  rotation: 0,
+  translate(x, y = 0, z = 0) {
+    const result = this.clone();
+    result.x += x;
+    result.y += y;
+    result.z += z;
+    return result;
+  },
+  rotate(angle) {
+    const result = this.clone();
+    result.rotation += angle;
+    return result;
+  },
+  clone() {
+    const result = createTranslatableShape(name);
+    result.x = this.x;
+    result.y = this.y;
+    result.z = this.z;
+    result.rotation = this.rotation;
+    return result;
+  },
+});
+
+// Mock shape that records every mirror and rotate applied to it
+const createRecordingShape = (history = []) => ({
+  history,
+  clone() {
+    return createRecordingShape([...this.history]);
+  },
+  mirror(plane, origin) {
+    this.history.push(["mirror", plane, origin]);
+    return this;
+  },
+  rotate(angle, center, axis) {
+    this.history.push(["rotate", angle, center, axis]);
+    return this;
+  },
+});
+
+const positions = (copies) => copies.map((c) => [c.x, c.y, c.z]);
+
+describe("Copy Helpers", () => {
+  describe("linearCopies", () => {
+    test("creates copies along X for a numeric step", () => {
+      const copies = linearCopies(createTranslatableShape("peg"), 3, 5);
+      expect(positions(copies)).toEqual([
+        [0, 0, 0],
+        [5, 0, 0],
+        [10, 0, 0],
+      ]);
+    });
+
+    test("accepts a 2D step vector", () => {
+      const copies = linearCopies(createTranslatableShape("peg"), 3, [1, 2]);
+      expect(positions(copies)).toEqual([
+        [0, 0, 0],
+        [1, 2, 0],
+        [2, 4, 0],
+      ]);
+    });
+
+    test("accepts a 3D step vector", () => {
+      const copies = linearCopies(createTranslatableShape("peg"), 2, [1, 2, 3]);
+      expect(positions(copies)[1]).toEqual([1, 2, 3]);
+    });
+
+    test("center option centers the row on the origin", () => {
+      const copies = linearCopies(createTranslatableShape("peg"), 3, 5, {
+        center: true,
+      });
+      expect(copies.map((c) => c.x)).toEqual([-5, 0, 5]);
+    });
+
+    test("skip leaves out copies", () => {
+      const copies = linearCopies(createTranslatableShape("peg"), 5, 1, {
+        skip: (i) => i % 2 === 1,
+      });
+      expect(copies.map((c) => c.x)).toEqual([0, 2, 4]);
+    });
+
+    test("does not mutate the original shape", () => {
+      const shape = createTranslatableShape("peg");
+      linearCopies(shape, 3, 5);
+      expect([shape.x, shape.y, shape.z]).toEqual([0, 0, 0]);
+    });
+
+    test("returns an empty array for zero copies", () => {
+      expect(linearCopies(createTranslatableShape("peg"), 0, 5)).toEqual([]);
+    });
+  });
+
+  describe("gridCopies", () => {
+    test("creates nx * ny copies row by row", () => {
+      const copies = gridCopies(createTranslatableShape("peg"), 3, 2, 10, 5);
+      expect(positions(copies)).toEqual([
+        [0, 0, 0],
+        [10, 0, 0],
+        [20, 0, 0],
+        [0, 5, 0],
+        [10, 5, 0],
+        [20, 5, 0],
+      ]);
+    });
+
+    test("stacks layers with nz and dz", () => {
+      const copies = gridCopies(createTranslatableShape("peg"), 2, 2, 1, 1, {
+        nz: 3,
+        dz: 4,
+      });
+      expect(copies.length).toBe(12);
+      expect(copies.map((c) => c.z)).toEqual([
+        0, 0, 0, 0, 4, 4, 4, 4, 8, 8, 8, 8,
+      ]);
+    });
+
+    test("center option centers the grid on the origin", () => {
+      const copies = gridCopies(createTranslatableShape("peg"), 3, 3, 10, 10, {
+        center: true,
+      });
+      const xs = copies.map((c) => c.x);
+      const ys = copies.map((c) => c.y);
+      expect(Math.min(...xs)).toBe(-10);
+      expect(Math.max(...xs)).toBe(10);
+      expect(Math.min(...ys)).toBe(-10);
+      expect(Math.max(...ys)).toBe(10);
+    });
+
+    test("stagger shifts odd rows by half a column", () => {
+      const copies = gridCopies(createTranslatableShape("peg"), 2, 3, 10, 5, {
+        stagger: true,
+      });
+      expect(copies.map((c) => c.x)).toEqual([0, 10, 5, 15, 0, 10]);
+    });
+
+    test("centered stagger is symmetric about the origin", () => {
+      const copies = gridCopies(createTranslatableShape("peg"), 2, 2, 10, 5, {
+        stagger: true,
+        center: true,
+      });
+      const xs = copies.map((c) => c.x);
+      expect(Math.min(...xs)).toBe(-Math.max(...xs));
+    });
+
+    test("skip leaves gaps at chosen cells", () => {
+      const copies = gridCopies(createTranslatableShape("peg"), 3, 3, 1, 1, {
+        skip: (i, j) => i === 1 && j === 1,
+      });
+      expect(copies.length).toBe(8);
+      expect(positions(copies)).not.toContainEqual([1, 1, 0]);
+    });
+
+    test("skip receives the layer index", () => {
+      const seen = [];
+      gridCopies(createTranslatableShape("peg"), 1, 1, 1, 1, {
+        nz: 2,
+        dz: 1,
+        skip: (i, j, k) => {
+          seen.push([i, j, k]);
+          return false;
+        },
+      });
+      expect(seen).toEqual([
+        [0, 0, 0],
+        [0, 0, 1],
+      ]);
+    });
+
+    test("each copy is a distinct object", () => {
+      const copies = gridCopies(createTranslatableShape("peg"), 2, 2, 1, 1);
+      expect(new Set(copies).size).toBe(4);
+    });
+  });
+
+  describe("pathCopies", () => {
+    const lShape = [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+    ];
+    const square = [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+      [0, 10],
+    ];
+
+    const expectPositions = (copies, expected) => {
+      expect(copies.length).toBe(expected.length);
+      copies.forEach((copy, i) => {
+        expect(copy.x).toBeCloseTo(expected[i][0], 10);
+        expect(copy.y).toBeCloseTo(expected[i][1], 10);
+      });
+    };
+
+    test("places a count of copies at equal arc lengths, ends included", () => {
+      const copies = pathCopies(createTranslatableShape("rivet"), lShape, 5);
+      expectPositions(copies, [
+        [0, 0],
+        [5, 0],
+        [10, 0],
+        [10, 5],
+        [10, 10],
+      ]);
+    });
+
+    test("closed paths do not double up the first point", () => {
+      const copies = pathCopies(createTranslatableShape("rivet"), square, 4, {
+        closed: true,
+      });
+      expectPositions(copies, square);
+    });
+
+    test("closed paths include the closing segment", () => {
+      const copies = pathCopies(createTranslatableShape("rivet"), square, 8, {
+        closed: true,
+      });
+      expect(copies[7].x).toBeCloseTo(0, 10);
+      expect(copies[7].y).toBeCloseTo(5, 10);
+    });
+
+    test("spacing places copies a fixed distance apart", () => {
+      const copies = pathCopies(createTranslatableShape("rivet"), lShape, {
+        spacing: 4,
+      });
+      expectPositions(copies, [
+        [0, 0],
+        [4, 0],
+        [8, 0],
+        [10, 2],
+        [10, 6],
+        [10, 10],
+      ]);
+    });
+
+    test("spacing on a closed path stops before the start", () => {
+      const copies = pathCopies(
+        createTranslatableShape("rivet"),
+        square,
+        { spacing: 10 },
+        { closed: true }
+      );
+      expectPositions(copies, square);
+    });
+
+    test("throws for a spacing that is not positive", () => {
+      const rivet = createTranslatableShape("rivet");
+      for (const spacing of [0, -2, NaN, Infinity, undefined]) {
+        expect(() => pathCopies(rivet, lShape, { spacing })).toThrow(
+          `pathCopies: spacing must be a positive number, got ${spacing}`
+        );
+      }
+    });
+
+    test("throws for a count that is not a non-negative integer", () => {
+      const rivet = createTranslatableShape("rivet");
+      for (const count of [2.5, -1, NaN, Infinity]) {
+        expect(() => pathCopies(rivet, lShape, count)).toThrow(
+          `pathCopies: count must be a non-negative integer, got ${count}`
+        );
+      }
+      expect(() => pathCopies(rivet, lShape)).toThrow(
+        "pathCopies: spacing must be a positive number, got undefined"
+      );
+    });
+
+    test("a single copy sits at the start of the path", () => {
+      const copies = pathCopies(createTranslatableShape("rivet"), lShape, 1);
+      expectPositions(copies, [[0, 0]]);
+    });
+
+    test("keeps the original orientation by default", () => {
+      const copies = pathCopies(createTranslatableShape("rivet"), lShape, 3);
+      expect(copies.map((c) => c.rotation)).toEqual([0, 0, 0]);
+    });
+
+    test("alignToTangent rotates copies to follow the path", () => {
+      const copies = pathCopies(createTranslatableShape("bead"), lShape, 4, {
+        alignToTangent: true,
+      });
+      expect(copies.map((c) => c.rotation)).toEqual([0, 0, 90, 90]);
+    });
+
+    test("alignToTangent handles a closed loop", () => {
+      const copies = pathCopies(createTranslatableShape("bead"), square, 8, {
+        closed: true,
+        alignToTangent: true,
+      });
+      expect(copies.map((c) => c.rotation)).toEqual([
+        0, 0, 90, 90, 180, 180, -90, -90,
+      ]);
+    });
+
+    test("follows 3D polylines", () => {
+      const copies = pathCopies(
+        createTranslatableShape("bead"),
+        [
+          [0, 0, 0],
+          [0, 0, 10],
+        ],
+        3
+      );
+      expect(copies.map((c) => c.z)).toEqual([0, 5, 10]);
+    });
+
+    test("skips zero-length segments", () => {
+      const copies = pathCopies(
+        createTranslatableShape("bead"),
+        [
+          [0, 0],
+          [5, 0],
+          [5, 0],
+          [10, 0],
+        ],
+        3,
+        { alignToTangent: true }
+      );
+      expect(copies.map((c) => c.x)).toEqual([0, 5, 10]);
+      expect(copies.map((c) => c.rotation)).toEqual([0, 0, 0]);
+    });
+  });
+
+  describe("mirrorCopies", () => {
+    test("returns the shape and its mirror in the YZ plane by default", () => {
+      const copies = mirrorCopies(createRecordingShape());
+      expect(copies.map((c) => c.history)).toEqual([
+        [],
+        [["mirror", "YZ", [0, 0, 0]]],
+      ]);
+    });
+
+    test("passes a plane name and origin through to mirror", () => {
+      const copies = mirrorCopies(createRecordingShape(), "XZ", {
+        origin: [0, 5, 0],
+      });
+      expect(copies[1].history).toEqual([["mirror", "XZ", [0, 5, 0]]]);
+    });
+
+    test("accepts a normal vector as the plane", () => {
+      const copies = mirrorCopies(createRecordingShape(), [1, 1, 0]);
+      expect(copies.length).toBe(2);
+      expect(copies[1].history[0][1]).toEqual([1, 1, 0]);
+    });
+
+    test("each plane in an array doubles the copies", () => {
+      const copies = mirrorCopies(createRecordingShape(), ["YZ", "XZ"]);
+      expect(copies.map((c) => c.history.map((h) => h[1]))).toEqual([
+        [],
+        ["YZ"],
+        ["XZ"],
+        ["YZ", "XZ"],
+      ]);
+    });
+
+    test("does not modify the original shape", () => {
+      const shape = createRecordingShape();
+      mirrorCopies(shape, ["YZ", "XZ", "XY"]);
+      expect(shape.history).toEqual([]);
+    });
+  });
+
+  describe("dihedralCopies", () => {
+    test("returns 2n copies", () => {
+      expect(dihedralCopies(createRecordingShape(), 6).length).toBe(12);
+    });
+
+    test("first n copies are rotations of the original", () => {
+      const copies = dihedralCopies(createRecordingShape(), 4);
+      expect(copies.slice(0, 4).map((c) => c.history)).toEqual(
+        [0, 90, 180, 270].map((angle) => [
+          ["rotate", angle, [0, 0, 0], [0, 0, 1]],
+        ])
+      );
+    });
+
+    test("last n copies are rotations of the mirror image", () => {
+      const copies = dihedralCopies(createRecordingShape(), 3);
+      for (const [i, copy] of copies.slice(3).entries()) {
+        expect(copy.history).toEqual([
+          ["mirror", [1, 0, 0], [0, 0, 0]],
+          ["rotate", i * 120, [0, 0, 0], [0, 0, 1]],
+        ]);
+      }
+    });
+
+    test("default mirror plane contains a custom axis", () => {
+      const axis = [1, 1, 1];
+      const copies = dihedralCopies(createRecordingShape(), 2, { axis });
+      const normal = copies[2].history[0][1];
+      const dot =
+        normal[0] * axis[0] + normal[1] * axis[1] + normal[2] * axis[2];
+      expect(dot).toBeCloseTo(0, 10);
+      expect(Math.hypot(...normal)).toBeCloseTo(1, 10);
+    });
+
+    test("default mirror plane works for an axis along X", () => {
+      const copies = dihedralCopies(createRecordingShape(), 2, {
+        axis: [1, 0, 0],
+      });
+      expect(copies[2].history[0][1]).toEqual([0, 1, 0]);
+    });
+
+    test("uses the given center and mirror normal", () => {
+      const copies = dihedralCopies(createRecordingShape(), 2, {
+        center: [5, 5, 0],
+        normal: [0, 1, 0],
+      });
+      expect(copies[3].history).toEqual([
+        ["mirror", [0, 1, 0], [5, 5, 0]],
+        ["rotate", 180, [5, 5, 0], [0, 0, 1]],
+      ]);
+    });
+
+    test("does not modify the original shape", () => {
+      const shape = createRecordingShape();
+      dihedralCopies(shape, 5);
+      expect(shape.history).toEqual([]);
+    });
+  });
+});
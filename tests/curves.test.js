@@ -0,0 +1,319 @@
+import { describe, expect, test } from "bun:test";
+import {
+  bezierPoint,
+  splitBezier,
+  bezierDerivative,
+  bezierTangent,
+  flattenBezier,
+  bsplinePoint,
+  bsplineDerivative,
+  bsplineTangent,
+  flattenBspline,
+  magnitude,
+  subtract,
+} from "../prelude.js";
+
+const expectPointClose = (actual, expected, digits = 10) => {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+};
+
+// Central difference of a curve function at t
+const numericDerivative = (curve, t, h = 1e-6) =>
+  subtract(curve(t + h), curve(t - h)).map((v) => v / (2 * h));
+
+// Distance from a point to the nearest edge of a polyline
+const distanceToPolyline = (point, polyline) => {
+  let best = Infinity;
+  for (let i = 1; i < polyline.length; i++) {
+    const a = polyline[i - 1];
+    const ab = subtract(polyline[i], a);
+    const lengthSq = ab.reduce((sum, v) => sum + v * v, 0);
+    const dot = subtract(point, a).reduce((sum, v, k) => sum + v * ab[k], 0);
+    const t = Math.min(Math.max(dot / lengthSq, 0), 1);
+    const closest = a.map((v, k) => v + ab[k] * t);
+    best = Math.min(best, magnitude(subtract(point, closest)));
+  }
+  return best;
+};
+
+const cubic = [
+  [0, 0],
+  [1, 2],
+  [3, 2],
+  [4, 0],
+];
+
+const controls = [
+  [0, 0],
+  [1, 2],
+  [3, 2],
+  [4, 0],
+  [6, 1],
+  [7, 3],
+];
+
+describe("Curves", () => {
+  describe("bezierPoint", () => {
+    test("starts and ends on the end points", () => {
+      expect(bezierPoint(cubic, 0)).toEqual([0, 0]);
+      expectPointClose(bezierPoint(cubic, 1), [4, 0]);
+    });
+
+    test("matches the cubic Bernstein form", () => {
+      const t = 0.3;
+      const expected = [0, 1].map(
+        (i) =>
+          (1 - t) ** 3 * cubic[0][i] +
+          3 * (1 - t) ** 2 * t * cubic[1][i] +
+          3 * (1 - t) * t ** 2 * cubic[2][i] +
+          t ** 3 * cubic[3][i]
+      );
+      expectPointClose(bezierPoint(cubic, t), expected);
+    });
+
+    test("evaluates quadratic curves", () => {
+      const quadratic = [
+        [0, 0],
+        [1, 2],
+        [2, 0],
+      ];
+      expectPointClose(bezierPoint(quadratic, 0.5), [1, 1]);
+    });
+
+    test("works in 3D", () => {
+      const point = bezierPoint(
+        [
+          [0, 0, 0],
+          [0, 0, 2],
+          [2, 0, 2],
+        ],
+        0.5
+      );
+      expectPointClose(point, [0.5, 0, 1.5]);
+    });
+  });
+
+  describe("splitBezier", () => {
+    test("halves share the split point", () => {
+      const [before, after] = splitBezier(cubic, 0.4);
+      expect(before.length).toBe(4);
+      expect(after.length).toBe(4);
+      expect(before.at(-1)).toEqual(after[0]);
+      expectPointClose(before.at(-1), bezierPoint(cubic, 0.4));
+    });
+
+    test("halves trace the original curve", () => {
+      const [before, after] = splitBezier(cubic, 0.25);
+      for (const s of [0, 0.3, 0.7, 1]) {
+        expectPointClose(bezierPoint(before, s), bezierPoint(cubic, s * 0.25));
+        expectPointClose(
+          bezierPoint(after, s),
+          bezierPoint(cubic, 0.25 + s * 0.75)
+        );
+      }
+    });
+
+    test("splits in the middle by default", () => {
+      expect(splitBezier(cubic)[0]).toEqual([
+        [0, 0],
+        [0.5, 1],
+        [1.25, 1.5],
+        [2, 1.5],
+      ]);
+    });
+  });
+
+  describe("bezierDerivative / bezierTangent", () => {
+    test("end derivatives point at the neighboring control points", () => {
+      expect(bezierDerivative(cubic, 0)).toEqual([3, 6]);
+      expectPointClose(bezierDerivative(cubic, 1), [3, -6]);
+    });
+
+    test("matches numeric derivatives", () => {
+      for (const t of [0.2, 0.5, 0.8]) {
+        expectPointClose(
+          bezierDerivative(cubic, t),
+          numericDerivative((s) => bezierPoint(cubic, s), t),
+          5
+        );
+        expectPointClose(
+          bezierDerivative(cubic, t, 2),
+          numericDerivative((s) => bezierDerivative(cubic, s), t),
+          5
+        );
+      }
+    });
+
+    test("derivatives beyond the degree are zero", () => {
+      expect(bezierDerivative(cubic, 0.5, 4)).toEqual([0, 0]);
+    });
+
+    test("tangents have unit length", () => {
+      expect(magnitude(bezierTangent(cubic, 0.3))).toBeCloseTo(1, 10);
+      expectPointClose(bezierTangent(cubic, 0.5), [1, 0]);
+    });
+
+    test("tangent is defined where a control point repeats the end", () => {
+      const curve = [
+        [0, 0],
+        [0, 0],
+        [1, 1],
+        [2, 0],
+      ];
+      expectPointClose(bezierTangent(curve, 0), [Math.SQRT1_2, Math.SQRT1_2]);
+    });
+  });
+
+  describe("flattenBezier", () => {
+    test("stays within the tolerance", () => {
+      const polyline = flattenBezier(cubic, 0.001);
+      expect(polyline[0]).toEqual([0, 0]);
+      expectPointClose(polyline.at(-1), [4, 0]);
+      for (let s = 0; s <= 500; s++) {
+        const point = bezierPoint(cubic, s / 500);
+        expect(distanceToPolyline(point, polyline)).toBeLessThan(0.001);
+      }
+    });
+
+    test("tighter tolerances give more points", () => {
+      expect(flattenBezier(cubic, 0.0001).length).toBeGreaterThan(
+        flattenBezier(cubic, 0.1).length
+      );
+    });
+
+    test("straight curves flatten to a single segment per span", () => {
+      const line = [
+        [0, 0],
+        [1, 1],
+        [2, 2],
+      ];
+      expect(flattenBezier(line).length).toBe(3);
+    });
+  });
+
+  describe("bsplinePoint", () => {
+    test("clamped curves start and end on the end points", () => {
+      expect(bsplinePoint(controls, 0)).toEqual([0, 0]);
+      expectPointClose(bsplinePoint(controls, 1), [7, 3]);
+    });
+
+    test("a clamped cubic with four points is a Bezier curve", () => {
+      for (const t of [0.1, 0.5, 0.9]) {
+        expectPointClose(bsplinePoint(cubic, t), bezierPoint(cubic, t));
+      }
+    });
+
+    test("degree 1 is the control polygon", () => {
+      const square = [
+        [0, 0],
+        [2, 0],
+        [2, 2],
+      ];
+      expectPointClose(bsplinePoint(square, 0.25, { degree: 1 }), [1, 0]);
+      expectPointClose(bsplinePoint(square, 0.75, { degree: 1 }), [2, 1]);
+    });
+
+    test("unclamped uniform cubic matches the classic basis", () => {
+      // With knots 0..n+p, t = 0 is the start of the first full span
+      const [p0, p1, p2] = controls;
+      const expected = [0, 1].map((i) => (p0[i] + 4 * p1[i] + p2[i]) / 6);
+      expectPointClose(bsplinePoint(controls, 0, { clamped: false }), expected);
+    });
+
+    test("custom knots shape the curve", () => {
+      const knots = [0, 0, 0, 0, 0.2, 0.3, 1, 1, 1, 1];
+      const uniform = bsplinePoint(controls, 0.25);
+      const custom = bsplinePoint(controls, 0.25, { knots });
+      expect(custom).not.toEqual(uniform);
+      expectPointClose(bsplinePoint(controls, 1, { knots }), [7, 3]);
+    });
+
+    test("a full-multiplicity interior knot passes through a point", () => {
+      const knots = [0, 0, 0, 0.5, 0.5, 1, 1, 1];
+      const points = controls.slice(0, 5);
+      const middle = bsplinePoint(points, 0.5, { degree: 2, knots });
+      expectPointClose(middle, points[2]);
+    });
+
+    test("works in 3D", () => {
+      const helix = controls.map(([x, y], i) => [x, y, i]);
+      expect(bsplinePoint(helix, 0.5).length).toBe(3);
+    });
+
+    test("rejects invalid input", () => {
+      expect(() => bsplinePoint(cubic.slice(0, 3), 0.5)).toThrow(
+        "bsplinePoint: a degree 3 B-spline needs at least 4 control points"
+      );
+      expect(() => bsplinePoint(cubic, 0.5, { knots: [0, 1] })).toThrow(
+        "bsplinePoint: expected 8 knots"
+      );
+      expect(() =>
+        bsplinePoint(cubic, 0.5, { knots: [0, 0, 0, 0, 1, 1, 1, 0.5] })
+      ).toThrow("bsplinePoint: knots must not decrease");
+      expect(() => bsplinePoint(cubic, 0.5, { degree: 0 })).toThrow(
+        "bsplinePoint: degree must be a positive integer"
+      );
+    });
+  });
+
+  describe("bsplineDerivative / bsplineTangent", () => {
+    test("matches numeric derivatives", () => {
+      const knots = [0, 0, 0, 0, 0.2, 0.3, 1, 1, 1, 1];
+      for (const options of [{}, { clamped: false }, { knots }]) {
+        for (const t of [0.15, 0.5, 0.85]) {
+          expectPointClose(
+            bsplineDerivative(controls, t, options),
+            numericDerivative((s) => bsplinePoint(controls, s, options), t),
+            4
+          );
+          expectPointClose(
+            bsplineDerivative(controls, t, { ...options, order: 2 }),
+            numericDerivative(
+              (s) => bsplineDerivative(controls, s, options),
+              t
+            ),
+            3
+          );
+        }
+      }
+    });
+
+    test("agrees with the Bezier derivative for a single span", () => {
+      expectPointClose(
+        bsplineDerivative(cubic, 0.3),
+        bezierDerivative(cubic, 0.3)
+      );
+    });
+
+    test("derivatives beyond the degree are zero", () => {
+      expect(bsplineDerivative(controls, 0.5, { order: 4 })).toEqual([0, 0]);
+    });
+
+    test("tangent points from the first control point to the second", () => {
+      const [x, y] = controls[1];
+      const length = Math.hypot(x, y);
+      expectPointClose(bsplineTangent(controls, 0), [x / length, y / length]);
+    });
+  });
+
+  describe("flattenBspline", () => {
+    test("runs from start to end within the tolerance", () => {
+      const polyline = flattenBspline(controls, 0.001);
+      expect(polyline[0]).toEqual([0, 0]);
+      expectPointClose(polyline.at(-1), [7, 3]);
+      for (let s = 0; s <= 500; s++) {
+        const point = bsplinePoint(controls, s / 500);
+        expect(distanceToPolyline(point, polyline)).toBeLessThan(0.001);
+      }
+    });
+
+    test("passes options on", () => {
+      const polyline = flattenBspline(controls, 0.01, { degree: 1 });
+      expect(polyline.length).toBe(controls.length);
+      expect(() => flattenBspline(cubic, 0.01, { degree: 5 })).toThrow(
+        "flattenBspline:"
+      );
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, expect, test } from "bun:test";
+import { gearProfile, gearCenterDistance, magnitude } from "../prelude.js";
+
+const radii = (points) => points.map((point) => magnitude(point));
+
+const signedArea = (points) => {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+};
+
+// Angular width of the tooth on the +X axis where it crosses radius r
+const toothWidthAt = ({ points, teeth }, r) => {
+  const crossings = [];
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const [ra, rb] = [magnitude(a), magnitude(b)];
+    if ((ra - r) * (rb - r) <= 0 && ra !== rb) {
+      const t = (r - ra) / (rb - ra);
+      const x = a[0] + (b[0] - a[0]) * t;
+      const y = a[1] + (b[1] - a[1]) * t;
+      const angle = Math.atan2(y, x);
+      if (Math.abs(angle) < Math.PI / teeth) crossings.push(angle);
+    }
+  }
+  return Math.max(...crossings) - Math.min(...crossings);
+};
+
+describe("Gears", () => {
+  describe("gearProfile", () => {
+    test("returns standard dimensions", () => {
+      const gear = gearProfile(2, 20);
+      expect(gear.pitchDiameter).toBe(40);
+      expect(gear.outerDiameter).toBeCloseTo(44, 10);
+      expect(gear.rootDiameter).toBeCloseTo(35, 10);
+      expect(gear.baseDiameter).toBeCloseTo(40 * Math.cos(Math.PI / 9), 10);
+      expect(gear.circularPitch).toBeCloseTo(2 * Math.PI, 10);
+      expect(gear.toothThickness).toBeCloseTo(Math.PI, 10);
+    });
+
+    test("echoes the parameters it was built with", () => {
+      const gear = gearProfile(1.5, 17, { pressureAngle: 14.5 });
+      expect(gear.module).toBe(1.5);
+      expect(gear.teeth).toBe(17);
+      expect(gear.pressureAngle).toBe(14.5);
+      expect(gear.profileShift).toBe(0);
+    });
+
+    test("outline stays between the root and outer circles", () => {
+      const gear = gearProfile(2, 15);
+      const rs = radii(gear.points);
+      expect(Math.min(...rs)).toBeCloseTo(gear.rootDiameter / 2, 10);
+      expect(Math.max(...rs)).toBeCloseTo(gear.outerDiameter / 2, 10);
+    });
+
+    test("outline is counter-clockwise", () => {
+      expect(signedArea(gearProfile(1, 24).points)).toBeGreaterThan(0);
+    });
+
+    test("has the same number of points for every tooth", () => {
+      const gear = gearProfile(1, 10, { flankSegments: 5, arcSegments: 2 });
+      expect(gear.points.length % 10).toBe(0);
+    });
+
+    test("tooth thickness at the pitch circle is half the circular pitch", () => {
+      const gear = gearProfile(2, 30, { flankSegments: 40 });
+      const width = toothWidthAt(gear, gear.pitchDiameter / 2);
+      const arc = (width * gear.pitchDiameter) / 2;
+      expect(arc).toBeCloseTo(Math.PI, 2);
+    });
+
+    test("backlash thins the teeth at the pitch circle", () => {
+      const gear = gearProfile(2, 30, { backlash: 0.2, flankSegments: 40 });
+      expect(gear.toothThickness).toBeCloseTo(Math.PI - 0.2, 10);
+      const width = toothWidthAt(gear, gear.pitchDiameter / 2);
+      expect((width * gear.pitchDiameter) / 2).toBeCloseTo(Math.PI - 0.2, 2);
+    });
+
+    test("profile shift moves the tip and root outward", () => {
+      const plain = gearProfile(2, 12);
+      const shifted = gearProfile(2, 12, { profileShift: 0.3 });
+      expect(shifted.outerDiameter - plain.outerDiameter).toBeCloseTo(1.2, 10);
+      expect(shifted.rootDiameter - plain.rootDiameter).toBeCloseTo(1.2, 10);
+      expect(shifted.pitchDiameter).toBe(plain.pitchDiameter);
+      expect(shifted.toothThickness).toBeGreaterThan(plain.toothThickness);
+    });
+
+    test("teeth that come to a point are cut off where the flanks meet", () => {
+      const gear = gearProfile(2, 6, { profileShift: 1 });
+      expect(gear.outerDiameter).toBeLessThan(6 * 2 + 2 * 2 * 2);
+      for (const point of gear.points) {
+        expect(point.every(Number.isFinite)).toBe(true);
+      }
+    });
+
+    test("works for gears whose root is above the base circle", () => {
+      const gear = gearProfile(1, 80);
+      expect(gear.rootDiameter).toBeGreaterThan(gear.baseDiameter);
+      const rs = radii(gear.points);
+      expect(Math.min(...rs)).toBeCloseTo(gear.rootDiameter / 2, 10);
+    });
+
+    test("first tooth is centered on the +X axis", () => {
+      const { points, outerDiameter } = gearProfile(1, 12);
+      const tip = points.filter(
+        ([x, y]) =>
+          magnitude([x, y]) > outerDiameter / 2 - 1e-9 &&
+          x > 0 &&
+          Math.abs(y) < 1
+      );
+      expect(tip.length).toBeGreaterThan(1);
+      expect(tip.reduce((sum, [, y]) => sum + y, 0)).toBeCloseTo(0, 10);
+    });
+  });
+
+  describe("gearCenterDistance", () => {
+    test("is the sum of the pitch radii without profile shift", () => {
+      const a = gearProfile(2, 12);
+      const b = gearProfile(2, 30);
+      expect(gearCenterDistance(a, b)).toBe(42);
+    });
+
+    test("is symmetric", () => {
+      const a = gearProfile(1, 12, { profileShift: 0.4 });
+      const b = gearProfile(1, 25, { profileShift: 0.1 });
+      expect(gearCenterDistance(a, b)).toBeCloseTo(
+        gearCenterDistance(b, a),
+        12
+      );
+    });
+
+    test("grows with positive profile shift", () => {
+      const a = gearProfile(1, 12, { profileShift: 0.5 });
+      const b = gearProfile(1, 24);
+      const distance = gearCenterDistance(a, b);
+      expect(distance).toBeGreaterThan(18);
+      // Slightly less than the naive m * (z1 + z2) / 2 + m * (x1 + x2)
+      expect(distance).toBeLessThan(18.5);
+    });
+
+    test("equal and opposite shifts keep the standard distance", () => {
+      const a = gearProfile(2, 14, { profileShift: 0.3 });
+      const b = gearProfile(2, 40, { profileShift: -0.3 });
+      expect(gearCenterDistance(a, b)).toBe(54);
+    });
+  });
+});
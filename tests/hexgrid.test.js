@@ -0,0 +1,233 @@
+import { describe, expect, test } from "bun:test";
+import {
+  axialToCube,
+  cubeToAxial,
+  cubeRound,
+  axialToOffset,
+  offsetToAxial,
+  axialToPoint,
+  pointToAxial,
+  hexNeighbors,
+  hexDistance,
+  hexVertices,
+  hexGrid,
+  magnitude,
+  subtract,
+} from "../prelude.js";
+
+const orientations = ["pointy", "flat"];
+const parities = ["odd", "even"];
+
+describe("Hex Grid", () => {
+  describe("axial and cube coordinates", () => {
+    test("axialToCube adds s so that q + r + s = 0", () => {
+      expect(axialToCube([2, -5])).toEqual([2, -5, 3]);
+    });
+
+    test("cubeToAxial drops s", () => {
+      expect(cubeToAxial([2, -5, 3])).toEqual([2, -5]);
+    });
+
+    test("cubeRound rounds to the nearest valid cell", () => {
+      expect(cubeRound([0.1, 0.2, -0.3])).toEqual([0, 0, 0]);
+      expect(cubeRound([1.4, -0.6, -0.8])).toEqual([1, 0, -1]);
+    });
+
+    test("cubeRound keeps q + r + s = 0", () => {
+      const [q, r, s] = cubeRound([0.45, 0.45, -0.9]);
+      expect(q + r + s).toBe(0);
+    });
+  });
+
+  describe("offset coordinates", () => {
+    for (const orientation of orientations) {
+      for (const parity of parities) {
+        test(`round trips through ${parity} ${orientation} offsets`, () => {
+          for (let q = -4; q <= 4; q++) {
+            for (let r = -4; r <= 4; r++) {
+              const options = { orientation, parity };
+              const offset = axialToOffset([q, r], options);
+              expect(offsetToAxial(offset, options)).toEqual([q, r]);
+            }
+          }
+        });
+      }
+    }
+
+    test("pointy odd rows are shifted half a cell to the right", () => {
+      const [x0] = axialToPoint(offsetToAxial([0, 0]), 1);
+      const [x1] = axialToPoint(offsetToAxial([0, 1]), 1);
+      expect(x1 - x0).toBeCloseTo(Math.sqrt(3) / 2, 10);
+    });
+
+    test("pointy even parity shifts odd rows to the left", () => {
+      const axial = offsetToAxial([0, 1], { parity: "even" });
+      expect(axialToPoint(axial, 1)[0]).toBeCloseTo(-Math.sqrt(3) / 2, 10);
+    });
+
+    test("flat odd columns are shifted half a cell up", () => {
+      const axial = offsetToAxial([1, 0], { orientation: "flat" });
+      const [x, y] = axialToPoint(axial, 1, { orientation: "flat" });
+      expect(x).toBeCloseTo(1.5, 10);
+      expect(y).toBeCloseTo(Math.sqrt(3) / 2, 10);
+    });
+  });
+
+  describe("axialToPoint and pointToAxial", () => {
+    test("origin cell is centered on the origin", () => {
+      expect(axialToPoint([0, 0], 5)).toEqual([0, 0]);
+    });
+
+    test("pointy neighbours are sqrt(3) * size apart", () => {
+      for (const neighbor of hexNeighbors([0, 0])) {
+        expect(magnitude(axialToPoint(neighbor, 2))).toBeCloseTo(
+          2 * Math.sqrt(3),
+          10
+        );
+      }
+    });
+
+    test("flat neighbours are sqrt(3) * size apart", () => {
+      for (const neighbor of hexNeighbors([0, 0])) {
+        const point = axialToPoint(neighbor, 2, { orientation: "flat" });
+        expect(magnitude(point)).toBeCloseTo(2 * Math.sqrt(3), 10);
+      }
+    });
+
+    for (const orientation of orientations) {
+      test(`pointToAxial inverts axialToPoint (${orientation})`, () => {
+        for (let q = -3; q <= 3; q++) {
+          for (let r = -3; r <= 3; r++) {
+            const point = axialToPoint([q, r], 3, { orientation });
+            expect(pointToAxial(point, 3, { orientation })).toEqual([q, r]);
+          }
+        }
+      });
+    }
+
+    test("pointToAxial finds the cell containing a nearby point", () => {
+      const [x, y] = axialToPoint([2, -1], 1);
+      expect(pointToAxial([x + 0.3, y - 0.2], 1)).toEqual([2, -1]);
+    });
+  });
+
+  describe("hexNeighbors and hexDistance", () => {
+    test("returns six distinct neighbours", () => {
+      const neighbors = hexNeighbors([3, -2]);
+      expect(neighbors.length).toBe(6);
+      expect(new Set(neighbors.map(String)).size).toBe(6);
+    });
+
+    test("every neighbour is at distance 1", () => {
+      for (const neighbor of hexNeighbors([3, -2])) {
+        expect(hexDistance([3, -2], neighbor)).toBe(1);
+      }
+    });
+
+    test("distance counts steps across the grid", () => {
+      expect(hexDistance([0, 0], [0, 0])).toBe(0);
+      expect(hexDistance([0, 0], [3, 0])).toBe(3);
+      expect(hexDistance([0, 0], [2, -4])).toBe(4);
+      expect(hexDistance([-1, 2], [2, -1])).toBe(3);
+    });
+  });
+
+  describe("hexVertices", () => {
+    test("returns six corners at the circumradius", () => {
+      const vertices = hexVertices([5, 5], 2);
+      expect(vertices.length).toBe(6);
+      for (const vertex of vertices) {
+        expect(magnitude(subtract(vertex, [5, 5]))).toBeCloseTo(2, 10);
+      }
+    });
+
+    test("pointy hexagons have a corner at the top", () => {
+      const vertices = hexVertices([0, 0], 1);
+      const top = vertices.find(([x, y]) => y > 0.99);
+      expect(top[0]).toBeCloseTo(0, 10);
+    });
+
+    test("flat hexagons have a corner on the +X axis", () => {
+      const [first] = hexVertices([0, 0], 1, { orientation: "flat" });
+      expect(first).toEqual([1, 0]);
+    });
+
+    test("corners are counter-clockwise", () => {
+      const vertices = hexVertices([0, 0], 1);
+      let area = 0;
+      for (let i = 0; i < 6; i++) {
+        const [x1, y1] = vertices[i];
+        const [x2, y2] = vertices[(i + 1) % 6];
+        area += x1 * y2 - x2 * y1;
+      }
+      expect(area).toBeGreaterThan(0);
+    });
+  });
+
+  describe("hexGrid", () => {
+    test("keeps cell centers inside a rectangle", () => {
+      const cells = hexGrid(2, { width: 30, height: 20 });
+      expect(cells.length).toBeGreaterThan(0);
+      for (const { center } of cells) {
+        expect(center[0]).toBeGreaterThanOrEqual(0);
+        expect(center[0]).toBeLessThanOrEqual(30);
+        expect(center[1]).toBeGreaterThanOrEqual(0);
+        expect(center[1]).toBeLessThanOrEqual(20);
+      }
+    });
+
+    test("includes the cell at the origin", () => {
+      const cells = hexGrid(1, { width: 10, height: 10 });
+      expect(cells[0]).toEqual({
+        center: [0, 0],
+        axial: [0, 0],
+        offset: [0, 0],
+      });
+    });
+
+    test("cell coordinates are consistent with each other", () => {
+      for (const orientation of orientations) {
+        const cells = hexGrid(1.5, { width: 12, height: 9 }, { orientation });
+        for (const { center, axial, offset } of cells) {
+          expect(axialToOffset(axial, { orientation })).toEqual(offset);
+          expect(axialToPoint(axial, 1.5, { orientation })).toEqual(center);
+        }
+      }
+    });
+
+    test("radius region gives hexagonal rings of cells", () => {
+      // With size 1, cell centers are sqrt(3) apart, so radius 2 keeps the
+      // center cell and its six neighbours
+      const cells = hexGrid(1, { radius: 2 });
+      expect(cells.length).toBe(7);
+    });
+
+    test("fit 'cell' only keeps cells that lie entirely inside", () => {
+      const size = 2;
+      const cells = hexGrid(size, { width: 40, height: 30 }, { fit: "cell" });
+      expect(cells.length).toBeGreaterThan(0);
+      expect(cells.length).toBeLessThan(
+        hexGrid(size, { width: 40, height: 30 }).length
+      );
+      for (const { center } of cells) {
+        for (const [x, y] of hexVertices(center, size)) {
+          expect(x).toBeGreaterThanOrEqual(0);
+          expect(x).toBeLessThanOrEqual(40);
+          expect(y).toBeGreaterThanOrEqual(0);
+          expect(y).toBeLessThanOrEqual(30);
+        }
+      }
+    });
+
+    test("has no duplicate cells", () => {
+      const cells = hexGrid(1, { radius: 10 }, { orientation: "flat" });
+      expect(new Set(cells.map((c) => String(c.axial))).size).toBe(
+        cells.length
+      );
+    });
+
+    test("returns an empty grid when no cell fits", () => {
+      expect(hexGrid(10, { width: 5, height: 5 }, { fit: "cell" })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+import { describe, expect, test } from "bun:test";
+import {
+  identityMatrix,
+  translationMatrix,
+  rotationMatrix,
+  scaleMatrix,
+  shearMatrix,
+  mirrorMatrix,
+  composeMatrices,
+  invertMatrix,
+  applyMatrix,
+  applyMatrixToPoints,
+} from "../prelude.js";
+
+const expectPointClose = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 10));
+};
+
+const expectMatrixClose = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((row, i) => expectPointClose(row, expected[i]));
+};
+
+describe("Matrices", () => {
+  describe("identityMatrix", () => {
+    test("is 4x4 by default and 3x3 for 2D", () => {
+      expect(identityMatrix().length).toBe(4);
+      expect(identityMatrix(2)).toEqual([
+        [1, 0, 0],
+        [0, 1, 0],
+        [0, 0, 1],
+      ]);
+    });
+
+    test("leaves points alone", () => {
+      expect(applyMatrix(identityMatrix(), [1, 2, 3])).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe("translationMatrix", () => {
+    test("moves 2D and 3D points", () => {
+      expect(applyMatrix(translationMatrix([1, 2]), [3, 4])).toEqual([4, 6]);
+      expect(applyMatrix(translationMatrix([1, 2, 3]), [0, 0, 0])).toEqual([
+        1, 2, 3,
+      ]);
+    });
+  });
+
+  describe("rotationMatrix", () => {
+    test("rotates counter-clockwise around Z by default", () => {
+      expectPointClose(applyMatrix(rotationMatrix(90), [1, 0, 5]), [0, 1, 5]);
+    });
+
+    test("rotates around a center and axis like shape.rotate", () => {
+      const matrix = rotationMatrix(90, [0, 0, 1], [1, 0, 0]);
+      expectPointClose(applyMatrix(matrix, [0, 0, 2]), [0, -1, 1]);
+    });
+
+    test("a 2D center gives a 3x3 matrix", () => {
+      const matrix = rotationMatrix(180, [1, 1]);
+      expect(matrix.length).toBe(3);
+      expectPointClose(applyMatrix(matrix, [2, 1]), [0, 1]);
+    });
+
+    test("keeps distances", () => {
+      const matrix = rotationMatrix(37, [1, 2, 3], [1, 1, 0]);
+      const [a, b] = applyMatrixToPoints(matrix, [
+        [0, 0, 0],
+        [3, 4, 0],
+      ]);
+      expect(Math.hypot(...b.map((v, i) => v - a[i]))).toBeCloseTo(5, 10);
+    });
+  });
+
+  describe("scaleMatrix", () => {
+    test("scales from the origin", () => {
+      expect(applyMatrix(scaleMatrix(2), [1, 2, 3])).toEqual([2, 4, 6]);
+    });
+
+    test("scales from a center", () => {
+      expect(applyMatrix(scaleMatrix(3, [1, 1]), [2, 1])).toEqual([4, 1]);
+    });
+
+    test("accepts a factor per axis", () => {
+      expect(applyMatrix(scaleMatrix([1, -1]), [2, 3])).toEqual([2, -3]);
+      expect(scaleMatrix([1, 2, 3]).length).toBe(4);
+    });
+  });
+
+  describe("shearMatrix", () => {
+    test("moves one coordinate in proportion to another", () => {
+      expect(applyMatrix(shearMatrix("X", "Y", 0.5), [1, 2, 3])).toEqual([
+        2, 2, 3,
+      ]);
+      expect(applyMatrix(shearMatrix("Z", "X", 2), [1, 2, 3])).toEqual([
+        1, 2, 5,
+      ]);
+    });
+
+    test("a 2D center gives a 3x3 matrix that keeps the center fixed", () => {
+      const matrix = shearMatrix("Y", "X", 1, [2, 3]);
+      expect(matrix.length).toBe(3);
+      expect(applyMatrix(matrix, [2, 3])).toEqual([2, 3]);
+      expect(applyMatrix(matrix, [4, 3])).toEqual([4, 5]);
+    });
+
+    test("can be undone and turns squares into parallelograms", () => {
+      const matrix = shearMatrix("X", "Z", 0.75, [1, 2, 3]);
+      const point = [4, -1, 7];
+      expectPointClose(
+        applyMatrix(invertMatrix(matrix), applyMatrix(matrix, point)),
+        point
+      );
+      const square = applyMatrixToPoints(shearMatrix("X", "Y", 3, [0, 0]), [
+        [0, 0],
+        [1, 0],
+        [1, 1],
+        [0, 1],
+      ]);
+      expect(square[2]).toEqual([4, 1]);
+      expect(square[3]).toEqual([3, 1]);
+    });
+
+    test("throws for unknown or repeated axes", () => {
+      expect(() => shearMatrix("W", "X", 1)).toThrow(
+        'shearMatrix: unknown axis "W", expected "X", "Y" or "Z"'
+      );
+      expect(() => shearMatrix("Z", "X", 1, [0, 0])).toThrow(
+        'shearMatrix: unknown axis "Z", expected "X" or "Y"'
+      );
+      expect(() => shearMatrix("Y", "Y", 1)).toThrow(
+        "shearMatrix: cannot shear Y along itself"
+      );
+    });
+  });
+
+  describe("mirrorMatrix", () => {
+    test("mirrors across named planes", () => {
+      expect(applyMatrix(mirrorMatrix(), [1, 2, 3])).toEqual([-1, 2, 3]);
+      expect(applyMatrix(mirrorMatrix("XZ"), [1, 2, 3])).toEqual([1, -2, 3]);
+      expect(applyMatrix(mirrorMatrix("XY"), [1, 2, 3])).toEqual([1, 2, -3]);
+    });
+
+    test("mirrors across a plane through an origin", () => {
+      expect(applyMatrix(mirrorMatrix("YZ", [2, 0, 0]), [3, 0, 0])).toEqual([
+        1, 0, 0,
+      ]);
+    });
+
+    test("mirrors across a tilted plane", () => {
+      const matrix = mirrorMatrix([1, 1, 0]);
+      expectPointClose(applyMatrix(matrix, [1, 0, 0]), [0, -1, 0]);
+    });
+
+    test("a 2D normal reflects across a line", () => {
+      const matrix = mirrorMatrix([0, 1], [0, 2]);
+      expect(applyMatrix(matrix, [5, 5])).toEqual([5, -1]);
+    });
+
+    test("mirroring twice is the identity", () => {
+      const matrix = mirrorMatrix([1, 2, 3], [4, 5, 6]);
+      expectMatrixClose(composeMatrices(matrix, matrix), identityMatrix());
+    });
+
+    test("rejects unknown plane names", () => {
+      expect(() => mirrorMatrix("XX")).toThrow(
+        'mirrorMatrix: unknown plane "XX"'
+      );
+    });
+  });
+
+  describe("composeMatrices", () => {
+    test("applies matrices in the order given", () => {
+      const moveThenTurn = composeMatrices(
+        translationMatrix([1, 0, 0]),
+        rotationMatrix(90)
+      );
+      const turnThenMove = composeMatrices(
+        rotationMatrix(90),
+        translationMatrix([1, 0, 0])
+      );
+      expectPointClose(applyMatrix(moveThenTurn, [1, 0, 0]), [0, 2, 0]);
+      expectPointClose(applyMatrix(turnThenMove, [1, 0, 0]), [1, 1, 0]);
+    });
+
+    test("matches applying each matrix in turn", () => {
+      const steps = [
+        scaleMatrix(2, [1, 1]),
+        rotationMatrix(30, [0, 1]),
+        mirrorMatrix([1, 0]),
+        translationMatrix([3, -2]),
+      ];
+      const point = [0.5, 2];
+      const stepwise = steps.reduce(
+        (p, matrix) => applyMatrix(matrix, p),
+        point
+      );
+      expectPointClose(applyMatrix(composeMatrices(...steps), point), stepwise);
+    });
+
+    test("a single matrix is returned as is", () => {
+      const matrix = translationMatrix([1, 2]);
+      expect(composeMatrices(matrix)).toEqual(matrix);
+    });
+
+    test("rejects mixed sizes or no matrices", () => {
+      expect(() =>
+        composeMatrices(identityMatrix(2), identityMatrix(3))
+      ).toThrow("composeMatrices: matrices must all be the same size");
+      expect(() => composeMatrices()).toThrow(
+        "composeMatrices: expected at least one matrix"
+      );
+    });
+  });
+
+  describe("invertMatrix", () => {
+    test("undoes a transform", () => {
+      const matrix = composeMatrices(
+        rotationMatrix(40, [1, 2, 3], [0, 1, 1]),
+        scaleMatrix([2, 3, 4]),
+        translationMatrix([5, 6, 7])
+      );
+      expectMatrixClose(
+        composeMatrices(matrix, invertMatrix(matrix)),
+        identityMatrix()
+      );
+      const point = [1, -2, 3];
+      expectPointClose(
+        applyMatrix(invertMatrix(matrix), applyMatrix(matrix, point)),
+        point
+      );
+    });
+
+    test("needs pivoting when the diagonal has zeros", () => {
+      const matrix = rotationMatrix(90, [0, 0]);
+      expectMatrixClose(invertMatrix(matrix), rotationMatrix(-90, [0, 0]));
+    });
+
+    test("throws for a zero scale", () => {
+      expect(() => invertMatrix(scaleMatrix([1, 0, 1]))).toThrow(
+        "invertMatrix: matrix is not invertible"
+      );
+    });
+  });
+
+  describe("applyMatrixToPoints", () => {
+    test("transforms every point", () => {
+      const points = [
+        [0, 0],
+        [1, 0],
+        [1, 1],
+      ];
+      expect(applyMatrixToPoints(translationMatrix([1, 1]), points)).toEqual([
+        [1, 1],
+        [2, 1],
+        [2, 2],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, expect, test } from "bun:test";
+import { offsetPolygon, starPolygon } from "../prelude.js";
+
+const signedArea = (points) => {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+};
+
+const totalArea = (rings) =>
+  rings.reduce((sum, ring) => sum + signedArea(ring), 0);
+
+const square = [
+  [0, 0],
+  [10, 0],
+  [10, 10],
+  [0, 10],
+];
+
+const hole = [
+  [3, 3],
+  [7, 3],
+  [7, 7],
+  [3, 7],
+];
+
+// Two 4 x 4 squares joined by a 1 wide bridge
+const dumbbell = [
+  [0, 0],
+  [4, 0],
+  [4, 1.5],
+  [6, 1.5],
+  [6, 0],
+  [10, 0],
+  [10, 4],
+  [6, 4],
+  [6, 2.5],
+  [4, 2.5],
+  [4, 4],
+  [0, 4],
+];
+
+describe("Polygon Offsetting", () => {
+  test("miter join grows a square into a larger square", () => {
+    const [ring, ...rest] = offsetPolygon(square, 1);
+    expect(rest).toEqual([]);
+    expect(ring).toEqual([
+      [-1, -1],
+      [11, -1],
+      [11, 11],
+      [-1, 11],
+    ]);
+  });
+
+  test("negative distances shrink", () => {
+    const result = offsetPolygon(square, -2);
+    expect(result.length).toBe(1);
+    expect(totalArea(result)).toBeCloseTo(36, 10);
+  });
+
+  test("round join adds quarter circles at the corners", () => {
+    const result = offsetPolygon(square, 2, {
+      join: "round",
+      arcTolerance: 0.001,
+    });
+    expect(totalArea(result)).toBeCloseTo(100 + 80 + 4 * Math.PI, 1);
+    for (const [x, y] of result[0]) {
+      const dx = Math.max(0 - x, 0, x - 10);
+      const dy = Math.max(0 - y, 0, y - 10);
+      expect(Math.hypot(dx, dy)).toBeCloseTo(2, 10);
+    }
+  });
+
+  test("square join cuts corners off at the offset distance", () => {
+    const [ring] = offsetPolygon(square, 1, { join: "square" });
+    expect(ring.length).toBe(8);
+    const corner = 1 - Math.SQRT1_2;
+    for (const [x, y] of ring) {
+      if (x > 10 && y > 10) {
+        // Cut line is at distance 1 from [10, 10] along the diagonal
+        expect((x - 10 + (y - 10)) * Math.SQRT1_2).toBeCloseTo(1, 10);
+      }
+    }
+    expect(totalArea([ring])).toBeCloseTo(144 - 4 * corner ** 2 * 2, 10);
+  });
+
+  test("sharp corners beyond the miter limit are squared off", () => {
+    const spike = [
+      [0, 0],
+      [10, 0],
+      [0, 1],
+    ];
+    const mitered = offsetPolygon(spike, 0.5, { miterLimit: 100 });
+    const limited = offsetPolygon(spike, 0.5);
+    expect(mitered[0].length).toBe(3);
+    expect(limited[0].length).toBeGreaterThan(3);
+    const reach = (rings) => Math.max(...rings[0].map(([x]) => x));
+    expect(reach(limited)).toBeLessThan(reach(mitered));
+  });
+
+  test("winding order of the input does not matter", () => {
+    const reversed = [...square].reverse();
+    expect(offsetPolygon(reversed, 1)).toEqual(offsetPolygon(square, 1));
+  });
+
+  test("holes shrink when the polygon grows", () => {
+    const result = offsetPolygon([square, hole], 1);
+    expect(result.length).toBe(2);
+    const inner = result.find((ring) => signedArea(ring) < 0);
+    expect(signedArea(inner)).toBeCloseTo(-4, 10);
+    expect(totalArea(result)).toBeCloseTo(144 - 4, 10);
+  });
+
+  test("holes that close up disappear", () => {
+    const result = offsetPolygon([square, hole], 2.5);
+    expect(result.length).toBe(1);
+    expect(totalArea(result)).toBeCloseTo(225, 10);
+  });
+
+  test("insetting a narrow bridge splits the polygon in two", () => {
+    const result = offsetPolygon(dumbbell, -0.6);
+    expect(result.length).toBe(2);
+    for (const ring of result) {
+      expect(signedArea(ring)).toBeCloseTo(2.8 * 2.8, 10);
+    }
+  });
+
+  test("insetting past the middle leaves nothing", () => {
+    expect(offsetPolygon(square, -5.5)).toEqual([]);
+    expect(offsetPolygon(dumbbell, -2.5)).toEqual([]);
+  });
+
+  test("outsetting a concave polygon removes the inner overlaps", () => {
+    const result = offsetPolygon(dumbbell, 0.6);
+    expect(result.length).toBe(1);
+    // The bridge gap is 2 wide, so it stays open
+    expect(totalArea(result)).toBeGreaterThan(36);
+    const closed = offsetPolygon(dumbbell, 1.2);
+    expect(closed.length).toBe(1);
+    expect(totalArea(closed)).toBeCloseTo(12.4 * 6.4, 10);
+  });
+
+  test("self-intersecting input keeps both lobes", () => {
+    const bowtie = [
+      [0, 0],
+      [4, 4],
+      [4, 0],
+      [0, 4],
+    ];
+    const result = offsetPolygon(bowtie, 0);
+    expect(result.length).toBe(2);
+    expect(totalArea(result)).toBeCloseTo(8, 10);
+  });
+
+  test("a star grows into a single outline", () => {
+    const star = starPolygon(5, 10, 4);
+    const result = offsetPolygon(star, 1, { join: "round" });
+    expect(result.length).toBe(1);
+    expect(signedArea(result[0])).toBeGreaterThan(signedArea(star));
+  });
+
+  test("throws for an unknown join", () => {
+    expect(() => offsetPolygon(square, 1, { join: "bevel" })).toThrow(
+      'offsetPolygon: unknown join "bevel", expected "miter", "round" or "square"'
+    );
+  });
+
+  test("throws for an arc tolerance that is not positive", () => {
+    for (const arcTolerance of [0, -0.1, NaN]) {
+      expect(() =>
+        offsetPolygon(square, 1, { join: "round", arcTolerance })
+      ).toThrow(
+        `offsetPolygon: arcTolerance must be a positive number, got ${arcTolerance}`
+      );
+    }
+  });
+
+  test("returns an empty list for an empty polygon", () => {
+    expect(offsetPolygon([], 1)).toEqual([]);
+  });
+});
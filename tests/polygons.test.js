@@ -0,0 +1,158 @@
+import { describe, expect, test } from "bun:test";
+import {
+  regularPolygon,
+  starPolygon,
+  superellipse,
+  ellipse,
+  magnitude,
+  subtract,
+} from "../prelude.js";
+
+const signedArea = (points) => {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+};
+
+const expectPointClose = (actual, expected) => {
+  expect(actual[0]).toBeCloseTo(expected[0], 10);
+  expect(actual[1]).toBeCloseTo(expected[1], 10);
+};
+
+describe("Polygon Generators", () => {
+  describe("regularPolygon", () => {
+    test("returns one point per side on the circumradius", () => {
+      const points = regularPolygon(7, 5);
+      expect(points.length).toBe(7);
+      for (const point of points) {
+        expect(magnitude(point)).toBeCloseTo(5, 10);
+      }
+    });
+
+    test("first corner lies on the +X axis", () => {
+      expect(regularPolygon(5, 3)[0]).toEqual([3, 0]);
+    });
+
+    test("corners are counter-clockwise", () => {
+      expect(signedArea(regularPolygon(6, 1))).toBeGreaterThan(0);
+    });
+
+    test("inradius measures center to edge midpoint", () => {
+      const points = regularPolygon(6, 2, { measure: "inradius" });
+      const midpoint = [
+        (points[0][0] + points[1][0]) / 2,
+        (points[0][1] + points[1][1]) / 2,
+      ];
+      expect(magnitude(midpoint)).toBeCloseTo(2, 10);
+    });
+
+    test("side measures the edge length", () => {
+      const points = regularPolygon(5, 3, { measure: "side" });
+      for (let i = 0; i < points.length; i++) {
+        const next = points[(i + 1) % points.length];
+        expect(magnitude(subtract(next, points[i]))).toBeCloseTo(3, 10);
+      }
+    });
+
+    test("a square of side 2 reaches from -1 to 1 when rotated 45°", () => {
+      const points = regularPolygon(4, 2, { measure: "side", rotation: 45 });
+      expectPointClose(points[0], [1, 1]);
+      expectPointClose(points[2], [-1, -1]);
+    });
+
+    test("center moves every point", () => {
+      const points = regularPolygon(3, 1, { center: [10, -5] });
+      expectPointClose(points[0], [11, -5]);
+      for (const point of points) {
+        expect(magnitude(subtract(point, [10, -5]))).toBeCloseTo(1, 10);
+      }
+    });
+  });
+
+  describe("starPolygon", () => {
+    test("alternates between outer and inner radius", () => {
+      const points = starPolygon(5, 10, 4);
+      expect(points.length).toBe(10);
+      points.forEach((point, i) => {
+        expect(magnitude(point)).toBeCloseTo(i % 2 === 0 ? 10 : 4, 10);
+      });
+    });
+
+    test("inner corners sit halfway between the tips", () => {
+      const points = starPolygon(4, 10, 5);
+      expectPointClose(points[1], [5 * Math.SQRT1_2, 5 * Math.SQRT1_2]);
+    });
+
+    test("rotation and center are applied", () => {
+      const points = starPolygon(3, 2, 1, { rotation: 90, center: [1, 1] });
+      expectPointClose(points[0], [1, 3]);
+    });
+
+    test("points are counter-clockwise", () => {
+      expect(signedArea(starPolygon(6, 3, 1))).toBeGreaterThan(0);
+    });
+  });
+
+  describe("superellipse", () => {
+    test("exponent 2 gives an ellipse", () => {
+      for (const [x, y] of superellipse(4, 2, 2, { segments: 24 })) {
+        expect((x / 4) ** 2 + (y / 2) ** 2).toBeCloseTo(1, 10);
+      }
+    });
+
+    test("points satisfy |x/rx|^n + |y/ry|^n = 1", () => {
+      for (const [x, y] of superellipse(3, 5, 4, { segments: 36 })) {
+        expect(Math.abs(x / 3) ** 4 + Math.abs(y / 5) ** 4).toBeCloseTo(1, 10);
+      }
+    });
+
+    test("hits the axes exactly", () => {
+      const points = superellipse(3, 5, 5, { segments: 4 });
+      expect(points).toEqual([
+        [3, 0],
+        [0, 5],
+        [-3, 0],
+        [0, -5],
+      ]);
+    });
+
+    test("a squircle bulges further than an ellipse on the diagonal", () => {
+      const circle = superellipse(1, 1, 2, { segments: 8 });
+      const squircle = superellipse(1, 1, 4, { segments: 8 });
+      expect(magnitude(squircle[1])).toBeGreaterThan(magnitude(circle[1]));
+    });
+
+    test("uses the requested number of points", () => {
+      expect(superellipse(1, 1, 4).length).toBe(64);
+      expect(superellipse(1, 1, 4, { segments: 10 }).length).toBe(10);
+    });
+
+    test("rotation and center are applied", () => {
+      const [first] = superellipse(3, 1, 4, {
+        rotation: 90,
+        center: [5, 5],
+      });
+      expectPointClose(first, [5, 8]);
+    });
+  });
+
+  describe("ellipse", () => {
+    test("matches a superellipse with exponent 2", () => {
+      expect(ellipse(4, 2, { segments: 12 })).toEqual(
+        superellipse(4, 2, 2, { segments: 12 })
+      );
+    });
+
+    test("defaults to 64 points", () => {
+      expect(ellipse(1, 1).length).toBe(64);
+    });
+
+    test("points are counter-clockwise", () => {
+      expect(signedArea(ellipse(2, 1))).toBeGreaterThan(0);
+    });
+  });
+});
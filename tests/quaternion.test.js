@@ -0,0 +1,225 @@
+import { describe, expect, test } from "bun:test";
+import {
+  quaternionFromAxisAngle,
+  quaternionFromEuler,
+  quaternionBetween,
+  composeQuaternions,
+  slerpQuaternions,
+  applyQuaternion,
+  quaternionToAxisAngle,
+  rotationMatrix,
+  applyMatrix,
+  magnitude,
+  normalize,
+} from "../prelude.js";
+
+const expectVectorClose = (actual, expected, digits = 10) => {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+};
+
+describe("Quaternions", () => {
+  describe("quaternionFromAxisAngle", () => {
+    test("builds a unit quaternion", () => {
+      const q = quaternionFromAxisAngle([0, 0, 2], 90);
+      expectVectorClose(q, [Math.SQRT1_2, 0, 0, Math.SQRT1_2]);
+    });
+
+    test("matches rotationMatrix", () => {
+      const axis = [1, 2, -1];
+      const q = quaternionFromAxisAngle(axis, 70);
+      const matrix = rotationMatrix(70, [0, 0, 0], axis);
+      const vector = [0.3, -2, 5];
+      expectVectorClose(
+        applyQuaternion(q, vector),
+        applyMatrix(matrix, vector)
+      );
+    });
+
+    test("zero angle is the identity", () => {
+      expect(quaternionFromAxisAngle([1, 0, 0], 0)).toEqual([1, 0, 0, 0]);
+    });
+  });
+
+  describe("quaternionFromEuler", () => {
+    test("applies X, then Y, then Z by default", () => {
+      const q = quaternionFromEuler([90, 90, 0]);
+      // Y goes to Z around X, then Z goes to X around Y
+      expectVectorClose(applyQuaternion(q, [0, 1, 0]), [1, 0, 0]);
+    });
+
+    test("order changes the result", () => {
+      const q = quaternionFromEuler([90, 90, 0], { order: "YXZ" });
+      // Y stays put around Y, then goes to Z around X
+      expectVectorClose(applyQuaternion(q, [0, 1, 0]), [0, 0, 1]);
+    });
+
+    test("a single angle matches the axis-angle form", () => {
+      expectVectorClose(
+        quaternionFromEuler([0, 0, 30]),
+        quaternionFromAxisAngle([0, 0, 1], 30)
+      );
+    });
+
+    test("rejects bad orders", () => {
+      expect(() => quaternionFromEuler([0, 0, 0], { order: "XXZ" })).toThrow(
+        "quaternionFromEuler: order must use each of X, Y and Z once"
+      );
+    });
+  });
+
+  describe("quaternionBetween", () => {
+    test("turns one direction into the other", () => {
+      const cases = [
+        [
+          [0, 0, 1],
+          [1, 1, 1],
+        ],
+        [
+          [1, 0, 0],
+          [0, -3, 0],
+        ],
+        [
+          [2, -1, 0.5],
+          [-1, 4, 2],
+        ],
+      ];
+      for (const [from, to] of cases) {
+        const q = quaternionBetween(from, to);
+        expectVectorClose(normalize(applyQuaternion(q, from)), normalize(to));
+      }
+    });
+
+    test("uses the shortest rotation", () => {
+      const q = quaternionBetween([1, 0, 0], [0, 1, 0]);
+      const { axis, angle } = quaternionToAxisAngle(q);
+      expect(angle).toBeCloseTo(90, 10);
+      expectVectorClose(axis, [0, 0, 1]);
+    });
+
+    test("handles opposite directions", () => {
+      for (const from of [
+        [0, 0, 1],
+        [1, 0, 0],
+      ]) {
+        const to = from.map((v) => -v);
+        const q = quaternionBetween(from, to);
+        expectVectorClose(applyQuaternion(q, from), to);
+        expect(quaternionToAxisAngle(q).angle).toBeCloseTo(180, 10);
+      }
+    });
+
+    test("same direction is no rotation", () => {
+      const q = quaternionBetween([0, 2, 0], [0, 1, 0]);
+      expectVectorClose(q, [1, 0, 0, 0]);
+    });
+  });
+
+  describe("composeQuaternions", () => {
+    test("applies rotations in the order given", () => {
+      const aroundX = quaternionFromAxisAngle([1, 0, 0], 90);
+      const aroundZ = quaternionFromAxisAngle([0, 0, 1], 90);
+      const q = composeQuaternions(aroundX, aroundZ);
+      const step = applyQuaternion(
+        aroundZ,
+        applyQuaternion(aroundX, [0, 1, 0])
+      );
+      expectVectorClose(applyQuaternion(q, [0, 1, 0]), step);
+      expectVectorClose(step, [0, 0, 1]);
+    });
+
+    test("adds angles around the same axis", () => {
+      const q = composeQuaternions(
+        quaternionFromAxisAngle([0, 1, 0], 20),
+        quaternionFromAxisAngle([0, 1, 0], 40)
+      );
+      expect(quaternionToAxisAngle(q).angle).toBeCloseTo(60, 10);
+    });
+
+    test("no quaternions is the identity", () => {
+      expect(composeQuaternions()).toEqual([1, 0, 0, 0]);
+    });
+  });
+
+  describe("slerpQuaternions", () => {
+    const a = quaternionFromAxisAngle([0, 0, 1], 10);
+    const b = quaternionFromAxisAngle([0, 0, 1], 110);
+
+    test("returns the end rotations at 0 and 1", () => {
+      expectVectorClose(slerpQuaternions(a, b, 0), a);
+      expectVectorClose(slerpQuaternions(a, b, 1), b);
+    });
+
+    test("moves at constant angular speed", () => {
+      for (const t of [0.25, 0.5, 0.8]) {
+        const { angle } = quaternionToAxisAngle(slerpQuaternions(a, b, t));
+        expect(angle).toBeCloseTo(10 + 100 * t, 8);
+      }
+    });
+
+    test("takes the shorter way around", () => {
+      const far = quaternionFromAxisAngle([0, 0, 1], 350);
+      const q = slerpQuaternions(
+        quaternionFromAxisAngle([0, 0, 1], 0),
+        far,
+        0.5
+      );
+      expect(quaternionToAxisAngle(q).angle).toBeCloseTo(5, 8);
+    });
+
+    test("stays unit length", () => {
+      const c = quaternionFromAxisAngle([1, 1, 0], 80);
+      expect(magnitude(slerpQuaternions(a, c, 0.37))).toBeCloseTo(1, 10);
+    });
+  });
+
+  describe("applyQuaternion", () => {
+    test("keeps lengths", () => {
+      const q = quaternionFromEuler([10, 20, 30]);
+      expect(magnitude(applyQuaternion(q, [3, 4, 12]))).toBeCloseTo(13, 10);
+    });
+
+    test("tolerates quaternions that are not unit length", () => {
+      const q = quaternionFromAxisAngle([0, 0, 1], 90).map((v) => v * 3);
+      expectVectorClose(applyQuaternion(q, [1, 0, 0]), [0, 1, 0]);
+    });
+  });
+
+  describe("quaternionToAxisAngle", () => {
+    test("round-trips through the axis-angle form", () => {
+      const axis = normalize([1, -2, 2]);
+      const result = quaternionToAxisAngle(quaternionFromAxisAngle(axis, 135));
+      expect(result.angle).toBeCloseTo(135, 10);
+      expectVectorClose(result.axis, axis);
+    });
+
+    test("reports angles between 0 and 180", () => {
+      const result = quaternionToAxisAngle(
+        quaternionFromAxisAngle([0, 0, 1], 270)
+      );
+      expect(result.angle).toBeCloseTo(90, 10);
+      expectVectorClose(result.axis, [0, 0, -1]);
+    });
+
+    test("no rotation gives the Z axis and zero angle", () => {
+      expect(quaternionToAxisAngle([1, 0, 0, 0])).toEqual({
+        axis: [0, 0, 1],
+        angle: 0,
+      });
+    });
+
+    test("gives replicad rotate arguments that orient a strut", () => {
+      // A strut modelled along +Z, to be pointed from a to b
+      const [a, b] = [
+        [1, 1, 1],
+        [4, 5, 1],
+      ];
+      const direction = b.map((v, i) => v - a[i]);
+      const { axis, angle } = quaternionToAxisAngle(
+        quaternionBetween([0, 0, 1], direction)
+      );
+      const matrix = rotationMatrix(angle, [0, 0, 0], axis);
+      expectVectorClose(applyMatrix(matrix, [0, 0, 5]), direction);
+    });
+  });
+});
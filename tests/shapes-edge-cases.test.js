@@ -12,6 +12,17 @@ const createMockShape = (id) => ({
   },
 });
 
+// Mock shape whose fuse throws when either side contains a "bad" id
+const createFragileShape = (id) => ({
+  id,
+  fuse(other) {
+    if (/bad/.test(this.id) || /bad/.test(other.id)) {
+      throw new Error(`cannot fuse ${this.id} with ${other.id}`);
+    }
+    return createFragileShape(`${this.id}+${other.id}`);
+  },
+});
+
 // Mock shape for testing polarCopies
 const createTranslatableShape = (name) => ({
   name,
@@ -96,6 +107,104 @@ describe("Shape Utilities - Edge Cases", () => {
       const result = fuseAll(shapes);
       expect(result.id).toBe("0+1+2+3+4+5+6+7+8+9");
     });
+
+    test("throws on an empty array", () => {
+      expect(() => fuseAll([])).toThrow(/at least one shape/);
+    });
+
+    test("rethrows fuse failures by default", () => {
+      const shapes = ["A", "bad", "C"].map(createFragileShape);
+      expect(() => fuseAll(shapes)).toThrow(/cannot fuse/);
+    });
+  });
+
+  describe("fuseAll - tolerant mode", () => {
+    test("returns the fused shape with no failures", () => {
+      const shapes = ["A", "B", "C"].map(createFragileShape);
+      const { shape, failures } = fuseAll(shapes, { tolerant: true });
+      expect(shape.id).toBe("A+B+C");
+      expect(failures).toEqual([]);
+    });
+
+    test("skips a shape that fails to fuse and reports its index", () => {
+      const shapes = ["A", "B", "C", "bad", "E"].map(createFragileShape);
+      const { shape, failures } = fuseAll(shapes, { tolerant: true });
+      expect(shape.id).toBe("A+B+C+E");
+      expect(failures.map((f) => f.index)).toEqual([3]);
+      expect(failures[0].error.message).toMatch(/cannot fuse/);
+    });
+
+    test("reports several failures in index order", () => {
+      const shapes = ["A", "bad1", "C", "D", "E", "bad2", "G"].map(
+        createFragileShape
+      );
+      const { shape, failures } = fuseAll(shapes, { tolerant: true });
+      expect(shape.id).toBe("A+C+D+E+G");
+      expect(failures.map((f) => f.index)).toEqual([1, 5]);
+    });
+
+    test("works with the sequential strategy", () => {
+      const shapes = ["A", "bad", "C", "D"].map(createFragileShape);
+      const { shape, failures } = fuseAll(shapes, {
+        tolerant: true,
+        strategy: "sequential",
+      });
+      expect(shape.id).toBe("A+C+D");
+      expect(failures.map((f) => f.index)).toEqual([1]);
+    });
+
+    test("skips a bad first shape instead of its partners", () => {
+      for (const strategy of ["tree", "sequential"]) {
+        const shapes = ["bad", "B", "C", "D"].map(createFragileShape);
+        const { shape, failures } = fuseAll(shapes, {
+          tolerant: true,
+          strategy,
+        });
+        expect(shape.id).toBe(strategy === "tree" ? "C+D+B" : "B+C+D");
+        expect(failures.map((f) => f.index)).toEqual([0]);
+      }
+    });
+
+    test("skips a bad shape at an even index and keeps its partner", () => {
+      const shapes = ["A", "B", "bad", "D"].map(createFragileShape);
+      const { shape, failures } = fuseAll(shapes, { tolerant: true });
+      expect(shape.id).toBe("A+B+D");
+      expect(failures.map((f) => f.index)).toEqual([2]);
+      expect(failures[0].error.message).toMatch(/cannot fuse A\+B with bad/);
+    });
+
+    test("keeps every good shape when several are bad", () => {
+      const shapes = ["bad1", "bad2", "C", "D", "bad3", "F"].map(
+        createFragileShape
+      );
+      for (const strategy of ["tree", "sequential"]) {
+        const { shape, failures } = fuseAll(shapes, {
+          tolerant: true,
+          strategy,
+        });
+        expect(shape.id.split("+").sort()).toEqual(["C", "D", "F"]);
+        expect(failures.map((f) => f.index)).toEqual([0, 1, 4]);
+      }
+    });
+
+    test("reports missing shapes without calling fuse on them", () => {
+      const shapes = [
+        createFragileShape("A"),
+        undefined,
+        createFragileShape("C"),
+      ];
+      const { shape, failures } = fuseAll(shapes, { tolerant: true });
+      expect(shape.id).toBe("A+C");
+      expect(failures[0].index).toBe(1);
+      expect(failures[0].error.message).toMatch(/not a shape/);
+    });
+
+    test("returns a null shape for an empty array", () => {
+      expect(fuseAll([], { tolerant: true })).toEqual({
+        shape: null,
+        failures: [],
+      });
+    });
   });
 
   describe("polarCopies - edge cases", () => {
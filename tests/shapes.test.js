@@ -1,5 +1,11 @@
 import { describe, expect, test } from "bun:test";
-import { fuseAll, polarCopies, drawPoints } from "../prelude.js";
+import {
+  fuseAll,
+  cutAll,
+  intersectAll,
+  polarCopies,
+  drawPoints,
+} from "../prelude.js";
 
 // Mock shape for testing fuseAll
 const createMockShape = (id) => ({
@@ -12,16 +18,61 @@ const createMockShape = (id) => ({
   },
 });
 
+// Mock shape that logs every fuse call as "left|right"
+const createRecordingShape = (id, calls) => ({
+  id,
+  fuse(other) {
+    calls.push(`${this.id}|${other.id}`);
+    return createRecordingShape(`${this.id}+${other.id}`, calls);
+  },
+});
+
+// Mock shape supporting all boolean operations, recording them in its id
+const createBooleanShape = (id) => ({
+  id,
+  fuse(other) {
+    return createBooleanShape(`(${this.id}+${other.id})`);
+  },
+  cut(other) {
+    if (/bad/.test(other.id)) throw new Error(`cannot cut ${other.id}`);
+    return createBooleanShape(`(${this.id}-${other.id})`);
+  },
+  intersect(other) {
+    return createBooleanShape(`(${this.id}&${other.id})`);
+  },
+});
+
+// Mock shape whose boolean operations throw when either side contains "bad"
+const createFragileBooleanShape = (id) => {
+  const operation = (symbol) =>
+    function (other) {
+      if (/bad/.test(this.id) || /bad/.test(other.id)) {
+        throw new Error(`cannot combine ${this.id} with ${other.id}`);
+      }
+      return createFragileBooleanShape(`(${this.id}${symbol}${other.id})`);
+    };
+  return {
+    id,
+    fuse: operation("+"),
+    cut: operation("-"),
+    intersect: operation("&"),
+  };
+};
+
 // Mock shape for testing polarCopies
 const createTranslatableShape = (name) => ({
   name,
   x: 0,
   y: 0,
+  z: 0,
   rotation: 0,
-  translate(x, y) {
+  rotationCenter: undefined,
+  rotationAxis: undefined,
+  translate(x, y, z = 0) {
     const result = createTranslatableShape(name);
     result.x = this.x + x;
     result.y = this.y + y;
+    result.z = this.z + z;
     result.rotation = this.rotation;
     return result;
   },
@@ -29,11 +80,14 @@ const createTranslatableShape = (name) => ({
     const result = createTranslatableShape(name);
     result.x = this.x;
     result.y = this.y;
+    result.z = this.z;
     result.rotation = this.rotation;
     return result;
   },
-  rotate(angle) {
+  rotate(angle, center, axis) {
     this.rotation = angle;
+    this.rotationCenter = center;
+    this.rotationAxis = axis;
     return this;
   },
 });
@@ -51,9 +105,21 @@ const createMockPen = () => {
       operations.push({ type: "lineTo", point: [...point] });
       return pen;
     },
+    customCorner(radius, mode) {
+      operations.push({ type: "customCorner", radius, mode });
+      return pen;
+    },
     close() {
       operations.push({ type: "close" });
-      return pen;
+      return { drawing: "closed" };
+    },
+    closeWithCustomCorner(radius, mode) {
+      operations.push({ type: "closeWithCustomCorner", radius, mode });
+      return { drawing: "closed" };
+    },
+    done() {
+      operations.push({ type: "done" });
+      return { drawing: "open" };
     },
   };
   return pen;
@@ -105,6 +171,147 @@ describe("Shape Utilities", () => {
       // Should fuse in order: (1+2)+3
       expect(result.id).toBe("1+2+3");
     });
+
+    test("tree strategy fuses neighbouring pairs first", () => {
+      const calls = [];
+      const shapes = ["A", "B", "C", "D", "E"].map((id) =>
+        createRecordingShape(id, calls)
+      );
+      fuseAll(shapes);
+      expect(calls).toEqual(["A|B", "C|D", "A+B|C+D", "A+B+C+D|E"]);
+    });
+
+    test("sequential strategy fuses left to right", () => {
+      const calls = [];
+      const shapes = ["A", "B", "C", "D"].map((id) =>
+        createRecordingShape(id, calls)
+      );
+      const result = fuseAll(shapes, { strategy: "sequential" });
+      expect(result.id).toBe("A+B+C+D");
+      expect(calls).toEqual(["A|B", "A+B|C", "A+B+C|D"]);
+    });
+
+    test("tree and sequential strategies give the same order", () => {
+      const shapes = Array.from({ length: 13 }, (_, i) =>
+        createMockShape(String(i))
+      );
+      expect(fuseAll(shapes).id).toBe(
+        fuseAll(shapes, { strategy: "sequential" }).id
+      );
+    });
+
+    test("throws on an unknown strategy", () => {
+      const shapes = [createMockShape("A"), createMockShape("B")];
+      expect(() => fuseAll(shapes, { strategy: "random" })).toThrow(
+        /unknown strategy/
+      );
+    });
+  });
+
+  describe("cutAll", () => {
+    test("fuses the tools and cuts once by default", () => {
+      const base = createBooleanShape("P");
+      const tools = ["a", "b", "c"].map(createBooleanShape);
+      expect(cutAll(base, tools).id).toBe("(P-((a+b)+c))");
+    });
+
+    test("cuts each tool in turn when fuseTools is false", () => {
+      const base = createBooleanShape("P");
+      const tools = ["a", "b", "c"].map(createBooleanShape);
+      const result = cutAll(base, tools, { fuseTools: false });
+      expect(result.id).toBe("(((P-a)-b)-c)");
+    });
+
+    test("passes the strategy on to fuseAll", () => {
+      const base = createBooleanShape("P");
+      const tools = ["a", "b", "c"].map(createBooleanShape);
+      const result = cutAll(base, tools, { strategy: "sequential" });
+      expect(result.id).toBe("(P-((a+b)+c))");
+    });
+
+    test("returns the base shape when there are no tools", () => {
+      const base = createBooleanShape("P");
+      expect(cutAll(base, [])).toBe(base);
+    });
+
+    test("tolerant mode skips tools that fail to cut", () => {
+      const base = createBooleanShape("P");
+      const tools = ["a", "bad", "c"].map(createBooleanShape);
+      const { shape, failures } = cutAll(base, tools, {
+        fuseTools: false,
+        tolerant: true,
+      });
+      expect(shape.id).toBe("((P-a)-c)");
+      expect(failures.map((f) => f.index)).toEqual([1]);
+    });
+
+    test("tolerant mode falls back to single cuts if the fused cut fails", () => {
+      const base = createBooleanShape("P");
+      const tools = ["a", "bad", "c"].map(createBooleanShape);
+      const { shape, failures } = cutAll(base, tools, { tolerant: true });
+      expect(shape.id).toBe("((P-a)-c)");
+      expect(failures.map((f) => f.index)).toEqual([1]);
+    });
+    test("tolerant mode still drills every good hole when the first tool is bad", () => {
+      const base = createFragileBooleanShape("P");
+      const tools = ["bad", "b", "c", "d"].map(createFragileBooleanShape);
+      const { shape, failures } = cutAll(base, tools, { tolerant: true });
+      expect(shape.id).toBe("(P-((c+d)+b))");
+      expect(failures.map((f) => f.index)).toEqual([0]);
+    });
+
+    test("tolerant mode throws instead of blaming the tools for a bad base", () => {
+      const base = createFragileBooleanShape("bad");
+      const tools = ["a", "b"].map(createFragileBooleanShape);
+      for (const fuseTools of [true, false]) {
+        expect(() =>
+          cutAll(base, tools, { tolerant: true, fuseTools })
+        ).toThrow("cutAll: the base could not be cut by any of the tools");
+      }
+    });
+
+    test("tolerant single cuts skip only a bad first tool", () => {
+      const base = createFragileBooleanShape("P");
+      const tools = ["bad", "b", "c"].map(createFragileBooleanShape);
+      const { shape, failures } = cutAll(base, tools, {
+        fuseTools: false,
+        tolerant: true,
+      });
+      expect(shape.id).toBe("((P-b)-c)");
+      expect(failures.map((f) => f.index)).toEqual([0]);
+    });
+  });
+
+  describe("intersectAll", () => {
+    test("intersects shapes as a balanced tree by default", () => {
+      const shapes = ["A", "B", "C", "D"].map(createBooleanShape);
+      expect(intersectAll(shapes).id).toBe("((A&B)&(C&D))");
+    });
+
+    test("intersects left to right with the sequential strategy", () => {
+      const shapes = ["A", "B", "C", "D"].map(createBooleanShape);
+      const result = intersectAll(shapes, { strategy: "sequential" });
+      expect(result.id).toBe("(((A&B)&C)&D)");
+    });
+
+    test("throws on an empty array", () => {
+      expect(() => intersectAll([])).toThrow(/intersectAll/);
+    });
+
+    test("tolerant mode keeps the partner of a failing shape", () => {
+      const shapes = ["A", "B", "bad", "D"].map(createFragileBooleanShape);
+      const { shape, failures } = intersectAll(shapes, { tolerant: true });
+      expect(shape.id).toBe("((A&B)&D)");
+      expect(failures.map((f) => f.index)).toEqual([2]);
+    });
+
+    test("tolerant mode reports inputs that cannot intersect", () => {
+      const shapes = [createBooleanShape("A"), {}, createBooleanShape("C")];
+      const { shape, failures } = intersectAll(shapes, { tolerant: true });
+      expect(shape.id).toBe("(A&C)");
+      expect(failures[0].index).toBe(1);
+      expect(failures[0].error.message).toMatch(/intersectAll/);
+    });
   });
 
   describe("polarCopies", () => {
@@ -173,6 +380,93 @@ describe("Shape Utilities", () => {
     });
   });
 
+  describe("polarCopies options", () => {
+    test("startAngle offsets every copy", () => {
+      const shape = createTranslatableShape("base");
+      const copies = polarCopies(shape, 4, 10, { startAngle: 45 });
+      expect(copies.map((c) => c.rotation)).toEqual([45, 135, 225, 315]);
+    });
+
+    test("sweep spreads copies over a partial arc", () => {
+      const shape = createTranslatableShape("base");
+      const copies = polarCopies(shape, 4, 10, { sweep: 120 });
+      expect(copies.map((c) => c.rotation)).toEqual([0, 30, 60, 90]);
+    });
+
+    test("includeEnd places the last copy on the end of the arc", () => {
+      const shape = createTranslatableShape("base");
+      const copies = polarCopies(shape, 4, 10, {
+        startAngle: 30,
+        sweep: 120,
+        includeEnd: true,
+      });
+      expect(copies.map((c) => c.rotation)).toEqual([30, 70, 110, 150]);
+    });
+
+    test("includeEnd with a single copy places it at the start", () => {
+      const shape = createTranslatableShape("base");
+      const copies = polarCopies(shape, 1, 10, { includeEnd: true });
+      expect(copies[0].rotation).toBe(0);
+    });
+
+    test("rotates around the default Z axis through the origin", () => {
+      const shape = createTranslatableShape("base");
+      const copies = polarCopies(shape, 2, 10);
+      expect(copies[1].rotationCenter).toEqual([0, 0, 0]);
+      expect(copies[1].rotationAxis).toEqual([0, 0, 1]);
+    });
+
+    test("passes axis and center to rotate and offsets from the center", () => {
+      const shape = createTranslatableShape("base");
+      const copies = polarCopies(shape, 3, 10, {
+        axis: [1, 0, 0],
+        center: [5, 0, 2],
+        direction: [0, 0, 1],
+      });
+      for (const copy of copies) {
+        expect(copy.rotationAxis).toEqual([1, 0, 0]);
+        expect(copy.rotationCenter).toEqual([5, 0, 2]);
+        expect([copy.x, copy.y, copy.z]).toEqual([5, 0, 12]);
+      }
+    });
+
+    test("keepOrientation translates copies around the circle", () => {
+      const shape = createTranslatableShape("base");
+      const copies = polarCopies(shape, 4, 10, { keepOrientation: true });
+      const expected = [
+        [0, 10],
+        [-10, 0],
+        [0, -10],
+        [10, 0],
+      ];
+      copies.forEach((copy, i) => {
+        expect(copy.rotation).toBe(0);
+        expect(copy.x).toBeCloseTo(expected[i][0], 10);
+        expect(copy.y).toBeCloseTo(expected[i][1], 10);
+        expect(copy.z).toBeCloseTo(0, 10);
+      });
+    });
+
+    test("keepOrientation follows a tilted axis", () => {
+      const shape = createTranslatableShape("base");
+      const copies = polarCopies(shape, 2, 10, {
+        keepOrientation: true,
+        axis: [1, 0, 0],
+        startAngle: 90,
+      });
+      // Rotating +Y by 90° around +X gives +Z, and by 270° gives -Z
+      expect(copies[0].y).toBeCloseTo(0, 10);
+      expect(copies[0].z).toBeCloseTo(10, 10);
+      expect(copies[1].z).toBeCloseTo(-10, 10);
+    });
+
+    test("keepOrientation does not mutate the original shape", () => {
+      const shape = createTranslatableShape("base");
+      polarCopies(shape, 3, 10, { keepOrientation: true });
+      expect([shape.x, shape.y, shape.z, shape.rotation]).toEqual([0, 0, 0, 0]);
+    });
+  });
+
   describe("drawPoints", () => {
     test("moves to first point", () => {
       const pen = createMockPen();
@@ -296,4 +590,90 @@ describe("Shape Utilities", () => {
       expect(pen.operations.length).toBe(101);
     });
   });
+
+  describe("drawPoints options", () => {
+    const square = [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+      [0, 10],
+    ];
+
+    test("returns the closed drawing", () => {
+      const pen = createMockPen();
+      expect(drawPoints(pen, square)).toEqual({ drawing: "closed" });
+    });
+
+    test("closed: false finishes an open wire instead of closing", () => {
+      const pen = createMockPen();
+      const drawing = drawPoints(pen, square, { closed: false });
+      expect(drawing).toEqual({ drawing: "open" });
+      expect(pen.operations.map((op) => op.type)).toEqual([
+        "moveTo",
+        "lineTo",
+        "lineTo",
+        "lineTo",
+        "done",
+      ]);
+    });
+
+    test("a single radius rounds every corner of a closed path", () => {
+      const pen = createMockPen();
+      drawPoints(pen, square, { radius: 2 });
+      expect(pen.operations).toEqual([
+        { type: "moveTo", point: [0, 0] },
+        { type: "lineTo", point: [10, 0] },
+        { type: "customCorner", radius: 2, mode: "fillet" },
+        { type: "lineTo", point: [10, 10] },
+        { type: "customCorner", radius: 2, mode: "fillet" },
+        { type: "lineTo", point: [0, 10] },
+        { type: "customCorner", radius: 2, mode: "fillet" },
+        { type: "closeWithCustomCorner", radius: 2, mode: "fillet" },
+      ]);
+    });
+
+    test("open paths have no corner at either end", () => {
+      const pen = createMockPen();
+      drawPoints(pen, square, { closed: false, radius: 1 });
+      const corners = pen.operations.filter((op) => op.type === "customCorner");
+      expect(corners.length).toBe(2);
+      expect(pen.operations.at(-2)).toEqual({
+        type: "lineTo",
+        point: [0, 10],
+      });
+    });
+
+    test("per-vertex radii leave zero-radius corners sharp", () => {
+      const pen = createMockPen();
+      drawPoints(pen, square, { radius: [0, 1, 0, 3] });
+      expect(pen.operations.map((op) => op.type)).toEqual([
+        "moveTo",
+        "lineTo",
+        "customCorner",
+        "lineTo",
+        "lineTo",
+        "customCorner",
+        "close",
+      ]);
+      expect(pen.operations[2].radius).toBe(1);
+      expect(pen.operations[5].radius).toBe(3);
+    });
+
+    test("a radius on the first point rounds the closing corner", () => {
+      const pen = createMockPen();
+      drawPoints(pen, square, { radius: [4, 0, 0, 0] });
+      expect(pen.operations.at(-1)).toEqual({
+        type: "closeWithCustomCorner",
+        radius: 4,
+        mode: "fillet",
+      });
+    });
+
+    test("chamfer mode is passed to the pen", () => {
+      const pen = createMockPen();
+      drawPoints(pen, square, { radius: 1, mode: "chamfer" });
+      const modes = pen.operations.filter((op) => op.mode).map((op) => op.mode);
+      expect(modes).toEqual(["chamfer", "chamfer", "chamfer", "chamfer"]);
+    });
+  });
 });
@@ -0,0 +1,274 @@
+import { describe, expect, test } from "bun:test";
+import {
+  douglasPeucker,
+  visvalingam,
+  resample,
+  ellipse,
+  magnitude,
+  subtract,
+  RNG,
+} from "../prelude.js";
+
+// Distance from a point to the nearest segment of a polyline
+const distanceToPath = (point, path, closed) => {
+  let best = Infinity;
+  const count = closed ? path.length : path.length - 1;
+  for (let i = 0; i < count; i++) {
+    const a = path[i];
+    const b = path[(i + 1) % path.length];
+    const ab = subtract(b, a);
+    const lengthSq = ab.reduce((sum, v) => sum + v * v, 0);
+    const t = Math.min(
+      Math.max(
+        subtract(point, a).reduce((sum, v, k) => sum + v * ab[k], 0) / lengthSq,
+        0
+      ),
+      1
+    );
+    const closest = a.map((v, k) => v + ab[k] * t);
+    best = Math.min(best, magnitude(subtract(point, closest)));
+  }
+  return best;
+};
+
+const gaps = (points, closed) => {
+  const result = [];
+  const count = closed ? points.length : points.length - 1;
+  for (let i = 0; i < count; i++) {
+    result.push(
+      magnitude(subtract(points[(i + 1) % points.length], points[i]))
+    );
+  }
+  return result;
+};
+
+const wobbly = [
+  [0, 0],
+  [1, 0.05],
+  [2, -0.05],
+  [3, 0.02],
+  [4, 0],
+  [4, 2],
+];
+
+const noisyCircle = (seed, count) => {
+  const rng = new RNG(seed);
+  return Array.from({ length: count }, (_, i) => {
+    const angle = (i / count) * 2 * Math.PI;
+    const r = 20 + (rng.uniform() - 0.5) * 0.2;
+    return [r * Math.cos(angle), r * Math.sin(angle)];
+  });
+};
+
+describe("Simplification and Resampling", () => {
+  describe("douglasPeucker", () => {
+    test("drops points within the tolerance", () => {
+      expect(douglasPeucker(wobbly, 0.1)).toEqual([
+        [0, 0],
+        [4, 0],
+        [4, 2],
+      ]);
+    });
+
+    test("keeps points beyond the tolerance", () => {
+      expect(douglasPeucker(wobbly, 0.01)).toEqual(wobbly);
+    });
+
+    test("every original point stays within the tolerance", () => {
+      const points = noisyCircle(1, 500);
+      const simplified = douglasPeucker(points, 0.5, { closed: true });
+      expect(simplified.length).toBeLessThan(50);
+      for (const point of points) {
+        expect(distanceToPath(point, simplified, true)).toBeLessThanOrEqual(
+          0.5
+        );
+      }
+    });
+
+    test("closed rings keep at least the first and furthest points", () => {
+      const square = [
+        [0, 0],
+        [1, 0],
+        [1, 1],
+        [0, 1],
+      ];
+      const result = douglasPeucker(square, 5, { closed: true });
+      expect(result).toEqual([
+        [0, 0],
+        [1, 1],
+      ]);
+    });
+
+    test("works in 3D", () => {
+      const helix = Array.from({ length: 50 }, (_, i) => [
+        Math.cos(i / 5),
+        Math.sin(i / 5),
+        i / 10,
+      ]);
+      const result = douglasPeucker(helix, 0.05);
+      expect(result.length).toBeLessThan(50);
+      expect(result[0]).toEqual(helix[0]);
+      expect(result.at(-1)).toEqual(helix.at(-1));
+    });
+
+    test("returns copies of short inputs", () => {
+      const points = [
+        [0, 0],
+        [1, 1],
+      ];
+      const result = douglasPeucker(points, 1);
+      expect(result).toEqual(points);
+      expect(result[0]).not.toBe(points[0]);
+    });
+  });
+
+  describe("visvalingam", () => {
+    test("drops points with small triangles", () => {
+      expect(visvalingam(wobbly, 0.2)).toEqual([
+        [0, 0],
+        [4, 0],
+        [4, 2],
+      ]);
+    });
+
+    test("keeps the ends of open paths", () => {
+      const result = visvalingam(wobbly, 100);
+      expect(result).toEqual([
+        [0, 0],
+        [4, 2],
+      ]);
+    });
+
+    test("closed rings keep at least three points", () => {
+      const result = visvalingam(ellipse(10, 5), 1000, { closed: true });
+      expect(result.length).toBe(3);
+    });
+
+    test("reduces a noisy outline", () => {
+      const points = noisyCircle(2, 500);
+      const result = visvalingam(points, 0.5, { closed: true });
+      expect(result.length).toBeLessThan(100);
+      expect(result.length).toBeGreaterThan(10);
+    });
+
+    test("a zero tolerance only removes collinear points", () => {
+      const points = [
+        [0, 0],
+        [1, 0],
+        [2, 0],
+        [2, 1],
+      ];
+      expect(visvalingam(points, 1e-12)).toEqual([
+        [0, 0],
+        [2, 0],
+        [2, 1],
+      ]);
+    });
+  });
+
+  describe("resample", () => {
+    test("spreads a count of points evenly", () => {
+      const result = resample(
+        [
+          [0, 0],
+          [1, 0],
+          [10, 0],
+        ],
+        5
+      );
+      expect(result).toEqual([
+        [0, 0],
+        [2.5, 0],
+        [5, 0],
+        [7.5, 0],
+        [10, 0],
+      ]);
+    });
+
+    test("follows corners at equal arc length", () => {
+      const path = [
+        [0, 0],
+        [3, 0],
+        [3, 3],
+      ];
+      const result = resample(path, 3);
+      expect(result[1]).toEqual([3, 0]);
+      expect(result[2]).toEqual([3, 3]);
+    });
+
+    test("closed rings do not repeat the start", () => {
+      const square = [
+        [0, 0],
+        [4, 0],
+        [4, 4],
+        [0, 4],
+      ];
+      const result = resample(square, 8, { closed: true });
+      expect(result.length).toBe(8);
+      for (const gap of gaps(result, true)) expect(gap).toBeCloseTo(2, 10);
+    });
+
+    test("spacing is adjusted to divide the path evenly", () => {
+      const result = resample(
+        [
+          [0, 0],
+          [10, 0],
+        ],
+        { spacing: 3 }
+      );
+      expect(result.length).toBe(4);
+      expect(result.at(-1)).toEqual([10, 0]);
+      for (const gap of gaps(result)) expect(gap).toBeCloseTo(10 / 3, 10);
+    });
+
+    test("spacing on a closed curve gives near-equal chords", () => {
+      const circle = ellipse(10, 10, { segments: 256 });
+      const result = resample(circle, { spacing: 1 }, { closed: true });
+      expect(result.length).toBe(63);
+      const chords = gaps(result, true);
+      expect(Math.max(...chords) - Math.min(...chords)).toBeLessThan(1e-3);
+    });
+
+    test("throws for a count that is not a non-negative integer", () => {
+      const line = [
+        [0, 0],
+        [10, 0],
+      ];
+      for (const count of [2.5, -1, NaN, Infinity]) {
+        expect(() => resample(line, count)).toThrow(
+          `resample: count must be a non-negative integer, got ${count}`
+        );
+      }
+      expect(() => resample(line)).toThrow(
+        "resample: spacing must be a positive number, got undefined"
+      );
+    });
+
+    test("throws for a spacing that is not positive", () => {
+      const line = [
+        [0, 0],
+        [10, 0],
+      ];
+      for (const spacing of [0, -1, NaN, Infinity]) {
+        expect(() => resample(line, { spacing })).toThrow(
+          `resample: spacing must be a positive number, got ${spacing}`
+        );
+      }
+    });
+
+    test("works in 3D", () => {
+      const result = resample(
+        [
+          [0, 0, 0],
+          [0, 0, 6],
+        ],
+        4
+      );
+      expect(result[1]).toEqual([0, 0, 2]);
+    });
+
+    test("handles empty input", () => {
+      expect(resample([], 5)).toEqual([]);
+    });
+  });
+});
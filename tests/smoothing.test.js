@@ -0,0 +1,320 @@
+import { describe, expect, test } from "bun:test";
+import { catmullRom, chaikin, drawSmooth } from "../prelude.js";
+
+// Mock pen recording curve calls
+const createMockPen = () => {
+  const operations = [];
+  const pen = {
+    operations,
+    movePointerTo(point) {
+      operations.push({ type: "moveTo", point: [...point] });
+      return pen;
+    },
+    cubicBezierCurveTo(end, startControl, endControl) {
+      operations.push({ type: "bezier", end, startControl, endControl });
+      return pen;
+    },
+    smoothSplineTo(end, config) {
+      operations.push({ type: "spline", end, config });
+      return pen;
+    },
+    close() {
+      operations.push({ type: "close" });
+      return { drawing: "closed" };
+    },
+    done() {
+      operations.push({ type: "done" });
+      return { drawing: "open" };
+    },
+  };
+  return pen;
+};
+
+// Evaluates a cubic Bezier in any dimension
+const bezierAt = (p0, c1, c2, p1, t) =>
+  p0.map(
+    (_, i) =>
+      (1 - t) ** 3 * p0[i] +
+      3 * (1 - t) ** 2 * t * c1[i] +
+      3 * (1 - t) * t ** 2 * c2[i] +
+      t ** 3 * p1[i]
+  );
+
+// Control points the way replicad's smoothSplineTo places them: along the
+// normalized tangents, a quarter of the chord times the factor away
+const splineControls = (start, end, config) => {
+  const reach = Math.hypot(end[0] - start[0], end[1] - start[1]) / 4;
+  const unit = ([x, y]) => [x / Math.hypot(x, y), y / Math.hypot(x, y)];
+  const [sx, sy] = unit(config.startTangent);
+  const [ex, ey] = unit(config.endTangent);
+  return [
+    [
+      start[0] + sx * config.startFactor * reach,
+      start[1] + sy * config.startFactor * reach,
+    ],
+    [
+      end[0] - ex * config.endFactor * reach,
+      end[1] - ey * config.endFactor * reach,
+    ],
+  ];
+};
+
+const zigzag = [
+  [0, 0],
+  [1, 1],
+  [2, 0],
+  [3, 1],
+];
+
+const square = [
+  [0, 0],
+  [10, 0],
+  [10, 10],
+  [0, 10],
+];
+
+describe("Smoothing", () => {
+  describe("catmullRom", () => {
+    test("passes through every input point", () => {
+      const curve = catmullRom(zigzag, { segments: 4 });
+      for (const [i, point] of zigzag.entries()) {
+        expect(curve[i * 4]).toEqual(point);
+      }
+    });
+
+    test("open curves have segments points per span plus the start", () => {
+      expect(catmullRom(zigzag, { segments: 5 }).length).toBe(16);
+    });
+
+    test("closed curves wrap around without repeating the start", () => {
+      const curve = catmullRom(square, { segments: 4, closed: true });
+      expect(curve.length).toBe(16);
+      expect(curve[0]).toEqual([0, 0]);
+      expect(curve[12]).toEqual([0, 10]);
+      expect(curve.at(-1)).not.toEqual([0, 0]);
+    });
+
+    test("uniform curve matches the classic midpoint formula", () => {
+      // For alpha = 0 the span midpoint is (-p0 + 9p1 + 9p2 - p3) / 16
+      const [p0, p1, p2, p3] = zigzag;
+      const curve = catmullRom(zigzag, { segments: 2, alpha: 0 });
+      const expected = [0, 1].map(
+        (i) => (-p0[i] + 9 * p1[i] + 9 * p2[i] - p3[i]) / 16
+      );
+      expect(curve[3][0]).toBeCloseTo(expected[0], 10);
+      expect(curve[3][1]).toBeCloseTo(expected[1], 10);
+    });
+
+    test("keeps collinear points on the line", () => {
+      const line = [
+        [0, 0],
+        [1, 1],
+        [3, 3],
+        [4, 4],
+      ];
+      for (const [x, y] of catmullRom(line)) {
+        expect(y).toBeCloseTo(x, 10);
+      }
+    });
+
+    test("works in 3D", () => {
+      const curve = catmullRom(
+        [
+          [0, 0, 0],
+          [1, 0, 1],
+          [2, 0, 0],
+        ],
+        { segments: 2 }
+      );
+      expect(curve.length).toBe(5);
+      expect(curve[2]).toEqual([1, 0, 1]);
+      for (const point of curve) expect(point.length).toBe(3);
+    });
+
+    test("handles repeated points without NaN", () => {
+      const curve = catmullRom([
+        [0, 0],
+        [1, 1],
+        [1, 1],
+        [2, 0],
+      ]);
+      for (const point of curve) {
+        expect(point.every(Number.isFinite)).toBe(true);
+      }
+    });
+
+    test("returns copies of fewer than two points", () => {
+      const points = [[1, 2]];
+      const curve = catmullRom(points);
+      expect(curve).toEqual([[1, 2]]);
+      expect(curve[0]).not.toBe(points[0]);
+    });
+  });
+
+  describe("chaikin", () => {
+    test("cuts each corner at a quarter of the edge", () => {
+      const result = chaikin(
+        [
+          [0, 0],
+          [4, 0],
+          [4, 4],
+        ],
+        { iterations: 1 }
+      );
+      expect(result).toEqual([
+        [0, 0],
+        [1, 0],
+        [3, 0],
+        [4, 1],
+        [4, 3],
+        [4, 4],
+      ]);
+    });
+
+    test("open paths keep their end points", () => {
+      const result = chaikin(zigzag, { iterations: 4 });
+      expect(result[0]).toEqual([0, 0]);
+      expect(result.at(-1)).toEqual([3, 1]);
+    });
+
+    test("closed paths double the point count each iteration", () => {
+      expect(chaikin(square, { iterations: 1, closed: true }).length).toBe(8);
+      expect(chaikin(square, { iterations: 3, closed: true }).length).toBe(32);
+    });
+
+    test("closed paths cut the closing corner too", () => {
+      const result = chaikin(square, { iterations: 1, closed: true });
+      expect(result).not.toContainEqual([0, 0]);
+      expect(result.at(-1)).toEqual([0, 2.5]);
+    });
+
+    test("ratio controls how far in the cuts are", () => {
+      const result = chaikin(
+        [
+          [0, 0],
+          [10, 0],
+        ],
+        { iterations: 1, ratio: 0.1 }
+      );
+      expect(result).toEqual([
+        [0, 0],
+        [10, 0],
+      ]);
+      const corner = chaikin(
+        [
+          [0, 0],
+          [10, 0],
+          [10, 10],
+        ],
+        { iterations: 1, ratio: 0.1 }
+      );
+      expect(corner[1]).toEqual([1, 0]);
+    });
+
+    test("does not modify the input", () => {
+      const points = square.map((p) => [...p]);
+      chaikin(points, { closed: true });
+      expect(points).toEqual(square);
+    });
+  });
+
+  describe("drawSmooth", () => {
+    test("draws one bezier per span and closes by default", () => {
+      const pen = createMockPen();
+      const drawing = drawSmooth(pen, square);
+      expect(drawing).toEqual({ drawing: "closed" });
+      expect(pen.operations.map((op) => op.type)).toEqual([
+        "moveTo",
+        "bezier",
+        "bezier",
+        "bezier",
+        "bezier",
+        "close",
+      ]);
+      expect(pen.operations[4].end).toEqual([0, 0]);
+    });
+
+    test("open curves finish with done", () => {
+      const pen = createMockPen();
+      const drawing = drawSmooth(pen, zigzag, { closed: false });
+      expect(drawing).toEqual({ drawing: "open" });
+      expect(pen.operations.filter((op) => op.type === "bezier").length).toBe(
+        3
+      );
+    });
+
+    test("bezier spans trace exactly the Catmull-Rom curve", () => {
+      for (const alpha of [0, 0.5, 1]) {
+        const pen = createMockPen();
+        drawSmooth(pen, zigzag, { closed: false, alpha });
+        const curve = catmullRom(zigzag, { segments: 4, alpha });
+        const { end, startControl, endControl } = pen.operations[2];
+        for (let s = 1; s < 4; s++) {
+          const point = bezierAt(
+            zigzag[1],
+            startControl,
+            endControl,
+            end,
+            s / 4
+          );
+          expect(point[0]).toBeCloseTo(curve[4 + s][0], 10);
+          expect(point[1]).toBeCloseTo(curve[4 + s][1], 10);
+        }
+      }
+    });
+
+    test("uniform bezier controls match the classic sixth rule", () => {
+      const pen = createMockPen();
+      drawSmooth(pen, zigzag, { closed: false, alpha: 0 });
+      const [p0, p1, p2] = zigzag;
+      const { startControl } = pen.operations[2];
+      expect(startControl[0]).toBeCloseTo(p1[0] + (p2[0] - p0[0]) / 6, 10);
+      expect(startControl[1]).toBeCloseTo(p1[1] + (p2[1] - p0[1]) / 6, 10);
+    });
+
+    test("spline method draws the same curve as the bezier method", () => {
+      for (const points of [zigzag, square]) {
+        const bezierPen = createMockPen();
+        drawSmooth(bezierPen, points, { closed: false });
+        const splinePen = createMockPen();
+        drawSmooth(splinePen, points, { closed: false, method: "spline" });
+        const beziers = bezierPen.operations.filter(
+          (op) => op.type === "bezier"
+        );
+        const splines = splinePen.operations.filter(
+          (op) => op.type === "spline"
+        );
+        expect(splines.length).toBe(beziers.length);
+        splines.forEach(({ end, config }, i) => {
+          const start = points[i];
+          const [startControl, endControl] = splineControls(start, end, config);
+          for (const axis of [0, 1]) {
+            expect(startControl[axis]).toBeCloseTo(
+              beziers[i].startControl[axis],
+              10
+            );
+            expect(endControl[axis]).toBeCloseTo(
+              beziers[i].endControl[axis],
+              10
+            );
+          }
+        });
+      }
+    });
+
+    test("spline method passes tangents to smoothSplineTo", () => {
+      const pen = createMockPen();
+      drawSmooth(pen, square, { method: "spline" });
+      const splines = pen.operations.filter((op) => op.type === "spline");
+      expect(splines.length).toBe(4);
+      for (const { config } of splines) {
+        expect(config.startTangent.length).toBe(2);
+        expect(config.endTangent.length).toBe(2);
+      }
+      // Tangents are continuous from one span to the next
+      const end = splines[0].config.endTangent;
+      const start = splines[1].config.startTangent;
+      expect(end[0] * start[1] - end[1] * start[0]).toBeCloseTo(0, 10);
+    });
+  });
+});
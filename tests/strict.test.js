@@ -0,0 +1,102 @@
+import { describe, expect, test } from "bun:test";
+import {
+  strictVectors,
+  add,
+  dotProduct,
+  cross,
+  rotate2D,
+  clamp,
+  lerp,
+} from "../prelude.js";
+
+describe("Strict Vectors", () => {
+  test("wraps every vector function", () => {
+    for (const fn of Object.values(strictVectors)) {
+      expect(typeof fn).toBe("function");
+    }
+    expect(Object.keys(strictVectors)).toContain("pointAlong");
+    expect(Object.keys(strictVectors)).toContain("lerp");
+  });
+
+  test("valid input gives the same results as the plain functions", () => {
+    expect(strictVectors.add([1, 2], [3, 4])).toEqual(add([1, 2], [3, 4]));
+    expect(strictVectors.dotProduct([1, 2, 3], [4, 5, 6])).toBe(
+      dotProduct([1, 2, 3], [4, 5, 6])
+    );
+    expect(strictVectors.cross([1, 0, 0], [0, 1, 0])).toEqual(
+      cross([1, 0, 0], [0, 1, 0])
+    );
+    expect(strictVectors.rotate2D([1, 0], 1, [2, 2])).toEqual(
+      rotate2D([1, 0], 1, [2, 2])
+    );
+    expect(strictVectors.clamp([-1, 5], 0, [1, 2])).toEqual(
+      clamp([-1, 5], 0, [1, 2])
+    );
+    expect(strictVectors.lerp([0, 0], [2, 4], [0.5, 0.25])).toEqual(
+      lerp([0, 0], [2, 4], [0.5, 0.25])
+    );
+    expect(strictVectors.polarToCartesian(2, 0)).toEqual([2, 0]);
+  });
+
+  test("optional arguments may be left out", () => {
+    expect(strictVectors.rotate2D([1, 0], 0)).toEqual([1, 0]);
+  });
+
+  test("throws for dimension mismatches", () => {
+    expect(() => strictVectors.add([1, 2], [3])).toThrow(
+      "add: otherPoint has 1 components but point has 2"
+    );
+    expect(() => strictVectors.pointAlong([0, 0], [1, 1, 1], 0.5)).toThrow(
+      "pointAlong: vector2 has 3 components but vector1 has 2"
+    );
+    expect(() => strictVectors.clamp([1, 2], [0], 3)).toThrow(
+      "clamp: low has 1 components but vector has 2"
+    );
+  });
+
+  test("throws for non-arrays", () => {
+    expect(() => strictVectors.subtract([1, 2], null)).toThrow(
+      "subtract: otherPoint must be an array of numbers, got null"
+    );
+    expect(() => strictVectors.magnitude("12")).toThrow(
+      "magnitude: vector must be an array of numbers, got string"
+    );
+    expect(() => strictVectors.normalize([])).toThrow(
+      "normalize: vector must not be empty"
+    );
+  });
+
+  test("throws for components that are not finite numbers", () => {
+    expect(() => strictVectors.dotProduct([1, NaN], [1, 2])).toThrow(
+      "dotProduct: vector[1] must be finite, got NaN"
+    );
+    expect(() => strictVectors.add([Infinity, 0], [1, 2])).toThrow(
+      "add: point[0] must be finite, got Infinity"
+    );
+    expect(() => strictVectors.add([1, "2"], [1, 2])).toThrow(
+      "add: point[1] must be a number, got string"
+    );
+  });
+
+  test("throws for scalar arguments that are not finite numbers", () => {
+    expect(() => strictVectors.scale([1, 2], Infinity)).toThrow(
+      "scale: factor must be finite, got Infinity"
+    );
+    expect(() => strictVectors.pointAlong([0], [1])).toThrow(
+      "pointAlong: proportion must be a number, got undefined"
+    );
+  });
+
+  test("throws for vectors of unsupported dimension", () => {
+    expect(() => strictVectors.signedAngle([1, 0, 0], [0, 1, 0])).toThrow(
+      "signedAngle: vector must have 2 components, got 3"
+    );
+    expect(() => strictVectors.perpendicular([1, 2, 3, 4])).toThrow(
+      "perpendicular: vector must have 2 or 3 components, got 4"
+    );
+  });
+
+  test("plain functions stay unchecked", () => {
+    expect(add([1, 2], [3])).toEqual([4, NaN]);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, test } from "bun:test";
+import { triangleGrid, magnitude, subtract } from "../prelude.js";
+
+const length = ([a, b]) => magnitude(subtract(b, a));
+
+const signedArea = (points) => {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+};
+
+describe("Triangle Grid", () => {
+  test("first row starts at the origin and steps by the side length", () => {
+    const { vertices } = triangleGrid(3, 0, 1);
+    expect(vertices).toEqual([
+      [0, 0],
+      [1, 0],
+      [2, 0],
+      [3, 0],
+    ]);
+  });
+
+  test("odd rows are shifted by half a side", () => {
+    const { vertices } = triangleGrid(2, 1, 1);
+    const second = vertices.filter(([, y]) => y > 0);
+    expect(second[0][0]).toBe(0.5);
+    expect(second[0][1]).toBeCloseTo(Math.sqrt(3) / 2, 10);
+  });
+
+  test("keeps every vertex inside the rectangle", () => {
+    const { vertices } = triangleGrid(17, 11, 2.5);
+    for (const [x, y] of vertices) {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThanOrEqual(17);
+      expect(y).toBeGreaterThanOrEqual(0);
+      expect(y).toBeLessThanOrEqual(11);
+    }
+  });
+
+  test("every edge has the side length", () => {
+    const { edges } = triangleGrid(12, 9, 1.5);
+    expect(edges.length).toBeGreaterThan(0);
+    for (const edge of edges) {
+      expect(length(edge)).toBeCloseTo(1.5, 10);
+    }
+  });
+
+  test("edges are not repeated", () => {
+    const { edges } = triangleGrid(12, 9, 1.5);
+    const keys = edges.map(([a, b]) => [String(a), String(b)].sort().join("|"));
+    expect(new Set(keys).size).toBe(edges.length);
+  });
+
+  test("triangles are equilateral and counter-clockwise", () => {
+    const { triangles } = triangleGrid(10, 10, 2);
+    const expectedArea = (Math.sqrt(3) / 4) * 4;
+    for (const triangle of triangles) {
+      expect(triangle.length).toBe(3);
+      expect(signedArea(triangle)).toBeCloseTo(expectedArea, 10);
+    }
+  });
+
+  test("triangles alternate between pointing up and down along a row", () => {
+    const { triangles } = triangleGrid(4, 1, 1);
+    // Up triangles have two vertices on the bottom row, down triangles one
+    const pointsUp = triangles.map(
+      (t) => t.filter(([, y]) => y === 0).length === 2
+    );
+    expect(pointsUp).toEqual([true, false, true, false, true, false, true]);
+  });
+
+  test("lattice satisfies Euler's formula V - E + F = 1", () => {
+    const { vertices, edges, triangles } = triangleGrid(9.3, 7.1, 1);
+    expect(vertices.length - edges.length + triangles.length).toBe(1);
+  });
+
+  test("a region narrower than a triangle still yields struts", () => {
+    const { vertices, triangles, edges } = triangleGrid(0.6, 1, 1);
+    expect(vertices.length).toBe(2);
+    expect(triangles).toEqual([]);
+    expect(edges.length).toBe(1);
+  });
+
+  test("throws for a side that is not positive", () => {
+    for (const side of [0, -1, NaN, Infinity]) {
+      expect(() => triangleGrid(10, 10, side)).toThrow(
+        `triangleGrid: side must be a positive number, got ${side}`
+      );
+    }
+  });
+
+  test("triangle points reference the vertex arrays", () => {
+    const { vertices, triangles } = triangleGrid(3, 3, 1);
+    for (const triangle of triangles) {
+      for (const point of triangle) {
+        expect(vertices).toContain(point);
+      }
+    }
+  });
+});
@@ -8,6 +8,14 @@ import {
   normalize,
   polarToCartesian,
   pointAlong,
+  cross,
+  distance,
+  angleBetween,
+  signedAngle,
+  project,
+  reject,
+  reflect,
+  rotate2D,
 } from "../prelude.js";
 
 describe("Vector Operations - Mathematical Properties", () => {
@@ -282,4 +290,87 @@ describe("Vector Operations - Mathematical Properties", () => {
       expect(cross).toBeCloseTo(0, 10);
     });
   });
+
+  describe("cross - properties", () => {
+    test("result is perpendicular to both inputs", () => {
+      const a = [2, -1, 3];
+      const b = [0.5, 4, -2];
+      const c = cross(a, b);
+      expect(dotProduct(c, a)).toBeCloseTo(0, 10);
+      expect(dotProduct(c, b)).toBeCloseTo(0, 10);
+    });
+
+    test("|a x b| = |a| |b| sin(angle)", () => {
+      const a = [1, 2, 0];
+      const b = [3, -1, 2];
+      expect(magnitude(cross(a, b))).toBeCloseTo(
+        magnitude(a) * magnitude(b) * Math.sin(angleBetween(a, b)),
+        10
+      );
+    });
+
+    test("2D scalar matches the z component of the 3D product", () => {
+      expect(cross([2, 3], [-1, 4])).toBe(cross([2, 3, 0], [-1, 4, 0])[2]);
+    });
+  });
+
+  describe("distance - properties", () => {
+    test("is symmetric", () => {
+      expect(distance([1, 2, 3], [4, -5, 6])).toBe(
+        distance([4, -5, 6], [1, 2, 3])
+      );
+    });
+
+    test("satisfies the triangle inequality", () => {
+      const [a, b, c] = [
+        [0, 0],
+        [3, 1],
+        [5, 5],
+      ];
+      expect(distance(a, c)).toBeLessThanOrEqual(
+        distance(a, b) + distance(b, c)
+      );
+    });
+  });
+
+  describe("angles - properties", () => {
+    test("angleBetween is the absolute signed angle", () => {
+      const a = [2, 1];
+      const b = [-1, 3];
+      expect(angleBetween(a, b)).toBeCloseTo(Math.abs(signedAngle(a, b)), 10);
+      expect(signedAngle(a, b)).toBeCloseTo(-signedAngle(b, a), 10);
+    });
+
+    test("rotate2D turns by the signed angle", () => {
+      const v = [3, 1];
+      const angle = 1.2;
+      expect(signedAngle(v, rotate2D(v, angle))).toBeCloseTo(angle, 10);
+      expect(magnitude(rotate2D(v, angle))).toBeCloseTo(magnitude(v), 10);
+    });
+  });
+
+  describe("project / reject / reflect - properties", () => {
+    test("project + reject = original", () => {
+      const v = [1, -2, 5];
+      const onto = [2, 1, 1];
+      const sum = add(project(v, onto), reject(v, onto));
+      sum.forEach((value, i) => expect(value).toBeCloseTo(v[i], 10));
+    });
+
+    test("rejection is perpendicular to the direction", () => {
+      const onto = [2, 1, 1];
+      expect(dotProduct(reject([1, -2, 5], onto), onto)).toBeCloseTo(0, 10);
+    });
+
+    test("reflecting twice returns the original", () => {
+      const v = [1, 2, 3];
+      const normal = [1, -1, 2];
+      const twice = reflect(reflect(v, normal), normal);
+      twice.forEach((value, i) => expect(value).toBeCloseTo(v[i], 10));
+    });
+
+    test("reflection keeps length", () => {
+      expect(magnitude(reflect([3, 4], [1, 2]))).toBeCloseTo(5, 10);
+    });
+  });
 });
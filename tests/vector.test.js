@@ -8,6 +8,20 @@ import {
   normalize,
   polarToCartesian,
   pointAlong,
+  cross,
+  distance,
+  distanceSq,
+  angleBetween,
+  signedAngle,
+  project,
+  reject,
+  reflect,
+  rotate2D,
+  perpendicular,
+  min,
+  max,
+  clamp,
+  lerp,
 } from "../prelude.js";
 
 describe("Vector Operations", () => {
@@ -277,4 +291,179 @@ describe("Vector Operations", () => {
       expect(pointAlong([0, 0], [100, 0], 0.75)).toEqual([75, 0]);
     });
   });
+
+  describe("cross", () => {
+    test("crosses the X and Y axes to get Z", () => {
+      expect(cross([1, 0, 0], [0, 1, 0])).toEqual([0, 0, 1]);
+    });
+
+    test("is anti-commutative in 3D", () => {
+      expect(cross([0, 1, 0], [1, 0, 0])).toEqual([0, 0, -1]);
+    });
+
+    test("returns the scalar z component for 2D vectors", () => {
+      expect(cross([1, 0], [0, 1])).toBe(1);
+      expect(cross([2, 3], [4, 5])).toBe(-2);
+    });
+
+    test("is zero for parallel vectors", () => {
+      expect(cross([1, 2, 3], [2, 4, 6])).toEqual([0, 0, 0]);
+    });
+
+    test("throws for other dimensions", () => {
+      expect(() => cross([1, 2], [1, 2, 3])).toThrow(
+        "cross: expected two 2D or two 3D vectors"
+      );
+      expect(() => cross([1, 2, 3, 4], [1, 2, 3, 4])).toThrow("cross:");
+    });
+  });
+
+  describe("distance / distanceSq", () => {
+    test("measures between 2D points", () => {
+      expect(distance([1, 1], [4, 5])).toBe(5);
+      expect(distanceSq([1, 1], [4, 5])).toBe(25);
+    });
+
+    test("measures between 3D points", () => {
+      expect(distance([0, 0, 0], [2, 3, 6])).toBe(7);
+    });
+
+    test("is zero for the same point", () => {
+      expect(distance([3, 4], [3, 4])).toBe(0);
+    });
+  });
+
+  describe("angleBetween", () => {
+    test("right angle", () => {
+      expect(angleBetween([1, 0], [0, 5])).toBeCloseTo(Math.PI / 2, 10);
+    });
+
+    test("opposite vectors", () => {
+      expect(angleBetween([1, 1, 0], [-2, -2, 0])).toBeCloseTo(Math.PI, 10);
+    });
+
+    test("is unsigned", () => {
+      expect(angleBetween([1, 0], [0, -1])).toBeCloseTo(Math.PI / 2, 10);
+    });
+
+    test("is accurate for nearly parallel vectors", () => {
+      expect(angleBetween([1, 0], [1, 1e-9])).toBeCloseTo(1e-9, 18);
+    });
+
+    test("is zero when a vector is zero", () => {
+      expect(angleBetween([0, 0], [1, 0])).toBe(0);
+    });
+  });
+
+  describe("signedAngle", () => {
+    test("is positive counter-clockwise", () => {
+      expect(signedAngle([1, 0], [0, 1])).toBeCloseTo(Math.PI / 2, 10);
+    });
+
+    test("is negative clockwise", () => {
+      expect(signedAngle([1, 0], [0, -1])).toBeCloseTo(-Math.PI / 2, 10);
+    });
+
+    test("ignores length", () => {
+      expect(signedAngle([2, 0], [1, 1])).toBeCloseTo(Math.PI / 4, 10);
+    });
+  });
+
+  describe("project / reject", () => {
+    test("projects onto an axis", () => {
+      expect(project([3, 4], [1, 0])).toEqual([3, 0]);
+      expect(project([3, 4], [10, 0])).toEqual([3, 0]);
+    });
+
+    test("rejects from an axis", () => {
+      expect(reject([3, 4], [1, 0])).toEqual([0, 4]);
+    });
+
+    test("works in 3D", () => {
+      expect(project([1, 2, 3], [0, 0, 2])).toEqual([0, 0, 3]);
+      expect(reject([1, 2, 3], [0, 0, 2])).toEqual([1, 2, 0]);
+    });
+
+    test("projecting onto a zero vector gives zero", () => {
+      expect(project([3, 4], [0, 0])).toEqual([0, 0]);
+      expect(reject([3, 4], [0, 0])).toEqual([3, 4]);
+    });
+  });
+
+  describe("reflect", () => {
+    test("bounces off a floor", () => {
+      expect(reflect([1, -1], [0, 1])).toEqual([1, 1]);
+    });
+
+    test("normal length does not matter", () => {
+      expect(reflect([1, -1, 2], [0, 0, 5])).toEqual([1, -1, -2]);
+    });
+  });
+
+  describe("rotate2D", () => {
+    test("rotates counter-clockwise around the origin", () => {
+      const [x, y] = rotate2D([1, 0], Math.PI / 2);
+      expect(x).toBeCloseTo(0, 10);
+      expect(y).toBeCloseTo(1, 10);
+    });
+
+    test("rotates around a center", () => {
+      const [x, y] = rotate2D([2, 1], Math.PI, [1, 1]);
+      expect(x).toBeCloseTo(0, 10);
+      expect(y).toBeCloseTo(1, 10);
+    });
+  });
+
+  describe("perpendicular", () => {
+    test("turns 2D vectors a quarter turn counter-clockwise", () => {
+      expect(perpendicular([3, 4])).toEqual([-4, 3]);
+    });
+
+    test("gives a perpendicular 3D vector of the same length", () => {
+      for (const vector of [
+        [0, 0, 2],
+        [1, 2, 3],
+        [5, 0, 0],
+      ]) {
+        const result = perpendicular(vector);
+        expect(dotProduct(result, vector)).toBeCloseTo(0, 10);
+        expect(magnitude(result)).toBeCloseTo(magnitude(vector), 10);
+      }
+    });
+
+    test("throws for other dimensions", () => {
+      expect(() => perpendicular([1, 2, 3, 4])).toThrow(
+        "perpendicular: expected a 2D or 3D vector"
+      );
+    });
+  });
+
+  describe("min / max", () => {
+    test("pick per component", () => {
+      expect(min([1, 5, 3], [4, 2, 3])).toEqual([1, 2, 3]);
+      expect(max([1, 5, 3], [4, 2, 3])).toEqual([4, 5, 3]);
+    });
+  });
+
+  describe("clamp", () => {
+    test("limits every component to a range", () => {
+      expect(clamp([-1, 0.5, 2], 0, 1)).toEqual([0, 0.5, 1]);
+    });
+
+    test("accepts per-component limits", () => {
+      expect(clamp([5, 5], [0, 6], [4, 10])).toEqual([4, 6]);
+    });
+  });
+
+  describe("lerp", () => {
+    test("matches pointAlong for a single weight", () => {
+      expect(lerp([0, 0], [10, 20], 0.25)).toEqual(
+        pointAlong([0, 0], [10, 20], 0.25)
+      );
+    });
+
+    test("uses a weight per component", () => {
+      expect(lerp([0, 0, 0], [10, 10, 10], [0, 0.5, 1])).toEqual([0, 5, 10]);
+    });
+  });
 });
@@ -0,0 +1,257 @@
+import { describe, expect, test } from "bun:test";
+import {
+  delaunay,
+  voronoi,
+  convexHull,
+  signedArea,
+  starPolygon,
+  RNG,
+} from "../prelude.js";
+
+const randomPoints = (seed, count, size = 100) => {
+  const rng = new RNG(seed);
+  return Array.from({ length: count }, () => [
+    rng.uniform() * size,
+    rng.uniform() * size,
+  ]);
+};
+
+const lattice = (n) => {
+  const points = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) points.push([i, j]);
+  }
+  return points;
+};
+
+// Whether d lies strictly inside the circumcircle of counter-clockwise abc
+const inCircle = (a, b, c, d) => {
+  const rows = [a, b, c].map(([x, y]) => [
+    x - d[0],
+    y - d[1],
+    (x - d[0]) ** 2 + (y - d[1]) ** 2,
+  ]);
+  const [[ax, ay, a2], [bx, by, b2], [cx, cy, c2]] = rows;
+  const det =
+    a2 * (bx * cy - cx * by) -
+    b2 * (ax * cy - cx * ay) +
+    c2 * (ax * by - bx * ay);
+  return det > 1e-9;
+};
+
+describe("Delaunay and Voronoi", () => {
+  describe("delaunay", () => {
+    test("triangulates a square into two triangles", () => {
+      const triangles = delaunay([
+        [0, 0],
+        [1, 0],
+        [1, 1],
+        [0, 2],
+      ]);
+      expect(triangles.length).toBe(2);
+    });
+
+    test("has 2n - 2 - h triangles for n points with h on the hull", () => {
+      const points = randomPoints(1, 300);
+      const hull = convexHull(points);
+      expect(delaunay(points).length).toBe(2 * 300 - 2 - hull.length);
+    });
+
+    test("triangles are counter-clockwise", () => {
+      const points = randomPoints(2, 100);
+      for (const triangle of delaunay(points)) {
+        expect(signedArea(triangle.map((i) => points[i]))).toBeGreaterThan(0);
+      }
+    });
+
+    test("no point lies inside a triangle's circumcircle", () => {
+      const points = randomPoints(3, 80);
+      for (const [a, b, c] of delaunay(points)) {
+        for (const point of points) {
+          expect(inCircle(points[a], points[b], points[c], point)).toBe(false);
+        }
+      }
+    });
+
+    test("covers the convex hull", () => {
+      const points = randomPoints(4, 200);
+      const area = delaunay(points).reduce(
+        (sum, triangle) => sum + signedArea(triangle.map((i) => points[i])),
+        0
+      );
+      expect(area).toBeCloseTo(signedArea(convexHull(points)), 8);
+    });
+
+    test("handles a regular lattice", () => {
+      expect(delaunay(lattice(5)).length).toBe(2 * 25 - 2 - 16);
+    });
+
+    test("skips repeated points", () => {
+      const triangles = delaunay([
+        [0, 0],
+        [1, 0],
+        [0, 1],
+        [1, 0],
+      ]);
+      expect(triangles.length).toBe(1);
+      expect(triangles[0]).not.toContain(3);
+    });
+
+    test("collinear or too few points give no triangles", () => {
+      expect(
+        delaunay([
+          [0, 0],
+          [1, 1],
+          [2, 2],
+        ])
+      ).toEqual([]);
+      expect(delaunay([[0, 0]])).toEqual([]);
+    });
+  });
+
+  describe("voronoi", () => {
+    test("returns one cell per point", () => {
+      const points = randomPoints(5, 50);
+      const cells = voronoi(points, { width: 100, height: 100 });
+      expect(cells.length).toBe(50);
+      cells.forEach((cell, i) => expect(cell.site).toBe(points[i]));
+    });
+
+    test("cells tile the rectangle", () => {
+      const points = randomPoints(6, 200);
+      const cells = voronoi(points, { width: 100, height: 100 });
+      const area = cells.reduce(
+        (sum, { points }) => sum + signedArea(points),
+        0
+      );
+      expect(area).toBeCloseTo(10000, 6);
+    });
+
+    test("cells are counter-clockwise and contain their site", () => {
+      const points = randomPoints(7, 60);
+      for (const cell of voronoi(points, { width: 100, height: 100 })) {
+        expect(signedArea(cell.points)).toBeGreaterThan(0);
+        const [x, y] = cell.site;
+        cell.points.forEach((a, k) => {
+          const b = cell.points[(k + 1) % cell.points.length];
+          const side = (b[0] - a[0]) * (y - a[1]) - (b[1] - a[1]) * (x - a[0]);
+          expect(side).toBeGreaterThanOrEqual(0);
+        });
+      }
+    });
+
+    test("every cell point is closest to its own site", () => {
+      const points = randomPoints(8, 40);
+      for (const cell of voronoi(points, { width: 100, height: 100 })) {
+        for (const point of cell.points) {
+          const own = Math.hypot(
+            point[0] - cell.site[0],
+            point[1] - cell.site[1]
+          );
+          for (const other of points) {
+            const distance = Math.hypot(
+              point[0] - other[0],
+              point[1] - other[1]
+            );
+            expect(distance).toBeGreaterThan(own - 1e-9);
+          }
+        }
+      }
+    });
+
+    test("lattice cells are unit squares with four neighbors", () => {
+      const cells = voronoi(lattice(5), { width: 4, height: 4 });
+      const middle = cells[12];
+      expect(signedArea(middle.points)).toBeCloseTo(1, 10);
+      expect([...middle.neighbors].sort((a, b) => a - b)).toEqual([
+        7, 11, 13, 17,
+      ]);
+      expect(signedArea(cells[0].points)).toBeCloseTo(0.25, 10);
+      expect(cells[0].neighbors.length).toBe(2);
+    });
+
+    test("neighbors are symmetric", () => {
+      const cells = voronoi(randomPoints(9, 100), { width: 100, height: 100 });
+      cells.forEach((cell, i) => {
+        for (const j of cell.neighbors) {
+          expect(cells[j].neighbors).toContain(i);
+        }
+      });
+    });
+
+    test("neighbors stay symmetric with repeated points", () => {
+      const cells = voronoi(
+        [
+          [2, 2],
+          [2, 2],
+          [8, 8],
+        ],
+        { width: 10, height: 10 }
+      );
+      expect(cells.map(({ neighbors }) => neighbors)).toEqual([
+        [2],
+        [2],
+        [0, 1],
+      ]);
+
+      const rng = new RNG(5);
+      const rounded = Array.from({ length: 60 }, () => [
+        Math.round(rng.uniform() * 8),
+        Math.round(rng.uniform() * 8),
+      ]);
+      const grid = voronoi(rounded, { width: 8, height: 8 });
+      grid.forEach((cell, i) => {
+        for (const j of cell.neighbors) {
+          expect(grid[j].neighbors).toContain(i);
+        }
+      });
+    });
+
+    test("clips to a convex polygon", () => {
+      const region = [
+        [50, 0],
+        [100, 50],
+        [50, 100],
+        [0, 50],
+      ];
+      const cells = voronoi(randomPoints(10, 80), region);
+      const area = cells.reduce(
+        (sum, { points }) => sum + signedArea(points),
+        0
+      );
+      expect(area).toBeCloseTo(5000, 6);
+    });
+
+    test("clips to a non-convex polygon", () => {
+      const star = starPolygon(5, 50, 20, { center: [50, 50] });
+      const cells = voronoi(new RNG(11).poissonDisc(100, 100, 6), star);
+      const area = cells.reduce(
+        (sum, { polygons }) =>
+          sum + polygons.reduce((s, ring) => s + signedArea(ring), 0),
+        0
+      );
+      expect(area).toBeCloseTo(signedArea(star), 6);
+      const outside = cells.filter(({ points }) => points.length === 0);
+      expect(outside.length).toBeGreaterThan(0);
+    });
+
+    test("two points split the region along their bisector", () => {
+      const [left, right] = voronoi(
+        [
+          [1, 1],
+          [3, 1],
+        ],
+        { width: 4, height: 2 }
+      );
+      expect(signedArea(left.points)).toBeCloseTo(4, 10);
+      expect(signedArea(right.points)).toBeCloseTo(4, 10);
+      expect(left.neighbors).toEqual([1]);
+    });
+
+    test("a single point gets the whole region", () => {
+      const [cell] = voronoi([[1, 1]], { width: 2, height: 3 });
+      expect(signedArea(cell.points)).toBe(6);
+      expect(cell.neighbors).toEqual([]);
+    });
+  });
+});